@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+const { logger: defaultLogger } = require("./logger");
+
+// ── Roles ───────────────────────────────────────────────────
+// Back-office routes check a permission; roles grant permissions. A
+// principal may hold several roles.
+const VIEWER = ["invoices:read", "notifications:read", "webhooks:read"];
+const ROLES = {
+  viewer: VIEWER,
+  support: [
+    ...VIEWER,
+    "invoices:write",
+    "notifications:reprocess",
+    "webhooks:write",
+    "audit:read",
+  ],
+  finance: [...VIEWER, "refunds:write", "reports:read", "audit:read"],
+  // For the Prometheus scraper: GET /metrics and nothing else.
+  monitor: ["metrics:read"],
+};
+
+const hasPermission = (principal, permission) =>
+  principal.roles.some((role) => ROLES[role]?.includes(permission));
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+// ── API keys ────────────────────────────────────────────────
+// ADMIN_API_KEYS="alice:support:<key>,bob:finance+viewer:<key>"; only a
+// hash of each key is kept in memory.
+function parseApiKeys(spec) {
+  return (spec || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [id, roleList, ...rest] = entry.split(":");
+      const key = rest.join(":");
+      const roles = (roleList || "").split("+").filter(Boolean);
+      if (!id || !key || !roles.length)
+        throw new Error(
+          `Invalid ADMIN_API_KEYS entry for "${id}" (expected name:role[+role]:key)`
+        );
+      const unknown = roles.filter((role) => !ROLES[role]);
+      if (unknown.length)
+        throw new Error(
+          `Unknown role(s) ${unknown.join(", ")} for "${id}" (expected ${Object.keys(ROLES).join(", ")})`
+        );
+      return { id, roles, keyHash: sha256(key) };
+    });
+}
+
+// ── JWT (HS256) ─────────────────────────────────────────────
+// Tokens must carry `sub`, `exp` and `roles` (array) or `role` (string).
+const base64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function signJwt(payload, secret) {
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${header}.${body}`)
+    .digest("base64url");
+  return `${header}.${body}.${signature}`;
+}
+
+// Resolves the payload, or throws with the reason the token is refused.
+function verifyJwt(token, { secret, audience, issuer, now = Date.now }) {
+  const parts = token.split(".");
+  if (parts.length !== 3) throw new Error("malformed token");
+  const [header, body, signature] = parts;
+  let decodedHeader;
+  let payload;
+  try {
+    decodedHeader = JSON.parse(Buffer.from(header, "base64url").toString());
+    payload = JSON.parse(Buffer.from(body, "base64url").toString());
+  } catch (err) {
+    throw new Error("malformed token");
+  }
+  if (decodedHeader.alg !== "HS256") throw new Error("unsupported algorithm");
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${header}.${body}`)
+    .digest();
+  const actual = Buffer.from(signature, "base64url");
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  )
+    throw new Error("bad signature");
+
+  const nowSeconds = now() / 1000;
+  if (typeof payload.exp !== "number") throw new Error("missing exp");
+  if (payload.exp <= nowSeconds) throw new Error("expired");
+  if (typeof payload.nbf === "number" && payload.nbf > nowSeconds)
+    throw new Error("not yet valid");
+  if (issuer && payload.iss !== issuer) throw new Error("wrong issuer");
+  if (audience) {
+    const audiences = [].concat(payload.aud || []);
+    if (!audiences.includes(audience)) throw new Error("wrong audience");
+  }
+  if (!payload.sub) throw new Error("missing sub");
+  return payload;
+}
+
+// ── Authentication Middleware ───────────────────────────────
+// Accepts `X-API-Key: <key>` or `Authorization: Bearer <jwt>` and sets
+// req.admin = { id, roles, via }. With neither keys nor a JWT secret
+// configured every request is refused; `onRefuse(req, reason)` hears of
+// each refusal (the audit log).
+function createAdminAuth({
+  apiKeys = [],
+  jwt = {},
+  now = Date.now,
+  logger = defaultLogger,
+  onRefuse = null,
+} = {}) {
+  const refuse = (req, res, reason) => {
+    logger.warn("admin authentication failed", {
+      reason,
+      path: req.originalUrl.split("?")[0],
+    });
+    onRefuse?.(req, reason);
+    const error =
+      reason === "missing" ? "Authentication required" : "Invalid credentials";
+    res.set("WWW-Authenticate", 'Bearer realm="admin"');
+    res.status(401).json({ error });
+  };
+
+  function fromApiKey(key) {
+    const hash = sha256(key);
+    const match = apiKeys.find((k) => crypto.timingSafeEqual(k.keyHash, hash));
+    return match && { id: match.id, roles: match.roles, via: "api-key" };
+  }
+
+  function fromJwt(token) {
+    const payload = verifyJwt(token, { ...jwt, now });
+    const roles = [].concat(payload.roles || payload.role || []);
+    return {
+      id: String(payload.sub),
+      roles: roles.filter((role) => ROLES[role]),
+      via: "jwt",
+    };
+  }
+
+  function authenticate(req, res, next) {
+    const apiKey = req.get("X-API-Key");
+    const bearer = (req.get("Authorization") || "").match(/^Bearer (.+)$/i);
+    let principal = null;
+    if (apiKey) {
+      principal = fromApiKey(apiKey);
+      if (!principal) return refuse(req, res, "unknown api key");
+    } else if (bearer) {
+      if (!jwt.secret) return refuse(req, res, "jwt not configured");
+      try {
+        principal = fromJwt(bearer[1]);
+      } catch (err) {
+        return refuse(req, res, `jwt ${err.message}`);
+      }
+    } else return refuse(req, res, "missing");
+
+    req.admin = principal;
+    next();
+  }
+
+  return { authenticate };
+}
+
+// Route-level check; expects authenticate to have run.
+function authorize(permission) {
+  return (req, res, next) => {
+    if (!req.admin)
+      return res.status(401).json({ error: "Authentication required" });
+    if (!hasPermission(req.admin, permission))
+      return res.status(403).json({ error: "Forbidden", required: permission });
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  hasPermission,
+  parseApiKeys,
+  signJwt,
+  verifyJwt,
+  createAdminAuth,
+  authorize,
+};
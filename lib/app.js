@@ -0,0 +1,536 @@
+const express = require("express");
+const cors = require("cors");
+const { GoPayError } = require("./gopayClient");
+const { logger } = require("./logger");
+const { createMetrics } = require("./metrics");
+const { resolveRequestId, runWithContext } = require("./requestContext");
+const { extractRedirectUrl } = require("./billInfo");
+const { createWebhookVerifier } = require("./webhookAuth");
+const { createBillNumberGenerator } = require("./billNumber");
+const {
+  prepareInvoice,
+  markAwaitingPayment,
+  createInvoiceIssuer,
+} = require("./invoiceIssuer");
+const {
+  IdempotencyError,
+  fingerprint,
+  createIdempotencyStore,
+} = require("./idempotency");
+const { createInvoiceRoutes } = require("./routes/invoices");
+const { createRefundService } = require("./refunds");
+const {
+  createSubscriptionStore,
+  createEventPublisher,
+} = require("./outboundWebhooks");
+const {
+  createWebhookSubscriptionRoutes,
+} = require("./routes/webhookSubscriptions");
+const { createNotificationProcessor } = require("./notifications");
+const { createInboundLog } = require("./inboundLog");
+const { createNotificationRoutes } = require("./routes/notifications");
+const { createReportRoutes } = require("./routes/reports");
+const { createHealthRoutes } = require("./routes/health");
+const { createAdminAuth, authorize } = require("./adminAuth");
+const { createAuditLog } = require("./auditLog");
+const { createAdminRoutes } = require("./routes/admin");
+const { createBatchService } = require("./batches");
+const { CSV_TYPES, createBatchRoutes } = require("./routes/batches");
+const {
+  DEFAULT_MERCHANT,
+  BillOwnershipError,
+  scopeEvents,
+} = require("./tenants");
+const {
+  RateLimitError,
+  retryAfterSeconds,
+  emailKey,
+  phoneKey,
+  createRateLimiter,
+  createConcurrencyLimiter,
+} = require("./rateLimit");
+
+// ── App Factory ─────────────────────────────────────────────
+// `storage` comes from createStorage: { db, invoices, payments, settlements }.
+// `tenants` from createTenantRegistry over that storage; each merchant has
+// its own GoPay client and repositories. Pass the `metrics` given to the
+// GoPay clients so they share a registry. `rateLimitStore` replaces the
+// in-memory rate limit counters (see lib/rateLimit.js).
+function createApp({
+  config,
+  storage,
+  tenants,
+  metrics = createMetrics(),
+  rateLimitStore,
+}) {
+  const { db } = storage;
+  const app = express();
+  if (config.trustProxy) app.set("trust proxy", config.trustProxy);
+
+  // ── Request IDs & Access Log ──────────────────────────────
+  // X-Request-Id is honoured when sane, echoed back, attached to every
+  // log line and forwarded to GoPay. The URL is logged without its query
+  // string, which may carry a customer's email or phone.
+  app.use((req, res, next) => {
+    const requestId = resolveRequestId(req.get("X-Request-Id"));
+    res.set("X-Request-Id", requestId);
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+      metrics.httpRequests.inc({
+        method: req.method,
+        route,
+        status: res.statusCode,
+      });
+      metrics.httpDuration.observe({ method: req.method, route }, seconds);
+      runWithContext({ requestId }, () =>
+        logger.info("request", {
+          method: req.method,
+          path: req.originalUrl.split("?")[0],
+          status: res.statusCode,
+          durationMs: Math.round(seconds * 1000),
+        })
+      );
+    });
+    runWithContext({ requestId }, next);
+  });
+
+  // ── CORS ──────────────────────────────────────────────────
+  // Browsers may call the checkout routes from the configured shop
+  // origins and the back-office routes from the admin UI origins only.
+  // GoPay's server-to-server notifications need neither.
+  app.use(
+    ["/api/create-invoice", "/api/invoice-status"],
+    cors({ origin: config.cors.checkoutOrigins })
+  );
+  const ADMIN_PATHS = [
+    "/api/invoices",
+    "/api/batches",
+    "/api/webhooks",
+    "/api/notifications",
+    "/api/reports",
+    "/api/admin",
+    "/metrics",
+  ];
+  app.use(ADMIN_PATHS, cors({ origin: config.cors.adminOrigins }));
+
+  // ── Admin Authentication & Audit ──────────────────────────
+  // Everything under ADMIN_PATHS needs an API key or JWT; each route
+  // then checks its own permission. Changes land in the audit log.
+  const auditLog = createAuditLog(db);
+  const adminAuth = createAdminAuth({
+    ...config.admin,
+    onRefuse: auditLog.refusal,
+  });
+  app.use(ADMIN_PATHS, adminAuth.authenticate, auditLog.trail);
+
+  // ── Body parsing ──────────────────────────────────────────
+  // After authentication, so admin bodies are only read for admins. The
+  // raw body is kept for webhook signature checks.
+  const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf.toString("utf8");
+  };
+  // Batch uploads are parsed first, under their own (larger) limit, and
+  // may also come as CSV; only for callers allowed to upload them, so
+  // nobody else can make us read that much.
+  app.post(
+    "/api/batches",
+    authorize("invoices:write"),
+    express.json({ limit: config.batches.maxBodyBytes }),
+    express.text({ type: CSV_TYPES, limit: config.batches.maxBodyBytes })
+  );
+  app.use(express.json({ verify: keepRawBody }));
+  app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+
+  // ── Webhook Verification ──────────────────────────────────
+  const webhookVerifier = createWebhookVerifier({
+    ...config.webhooks,
+    onReject: (reason) => metrics.webhookRejections.inc({ reason }),
+  });
+  app.locals.webhookVerifier = webhookVerifier;
+
+  // ── Outbound Merchant Webhooks ────────────────────────────
+  const subscriptions = createSubscriptionStore(db);
+  const events = createEventPublisher({
+    db,
+    subscriptions,
+    ...config.outboundWebhooks,
+  });
+  app.locals.events = events;
+
+  // ── Merchants ─────────────────────────────────────────────
+  // What each tenant's routes work with. Bill numbers, the webhook
+  // registry, the inbound log and the audit log are shared; everything
+  // else is the merchant's own.
+  const contexts = new Map(
+    tenants.list().map((tenant) => {
+      const { invoices, payments, settlements } = tenant.storage;
+      const { gopay } = tenant;
+      const tenantDb = tenant.storage.db;
+      const tenantEvents = scopeEvents(events, tenant.id);
+      return [
+        tenant.id,
+        {
+          tenant,
+          events: tenantEvents,
+          idempotency: createIdempotencyStore(tenantDb, config.idempotency),
+          processors: createNotificationProcessor({
+            db: tenantDb,
+            payments,
+            settlements,
+            gopay,
+            invoices,
+            events: tenantEvents,
+          }),
+          invoiceRoutes: createInvoiceRoutes({
+            gopay,
+            invoices,
+            payments,
+            settlements,
+            refunds: createRefundService({ db: tenantDb, gopay }),
+          }),
+          reportRoutes: createReportRoutes({
+            storage: tenant.storage,
+            reconciliation: config.reconciliation,
+          }),
+        },
+      ];
+    })
+  );
+
+  // Checkout and the admin API pick a merchant with X-Merchant-Id (or a
+  // merchantId field); without one the default merchant is meant.
+  function selectContext(req, fallbackId) {
+    const requested = req.get("X-Merchant-Id") || fallbackId;
+    return {
+      requested,
+      context: contexts.get(requested || DEFAULT_MERCHANT) || null,
+    };
+  }
+
+  // GoPay calls back with a billNumber only; it decides the merchant.
+  async function contextForBill(billNumber) {
+    const tenant = await tenants.forBill(billNumber);
+    return tenant && contexts.get(tenant.id);
+  }
+
+  // ── Idempotent Creation ───────────────────────────────────
+  // The one source of bill numbers; server.js hands it to the sweepers.
+  const nextBillNumber = createBillNumberGenerator(config.billNumbers);
+  app.locals.nextBillNumber = nextBillNumber;
+
+  // A replayed "pending" answer is refreshed from the stored invoice so
+  // a retrying client picks up a redirectUrl that arrived since.
+  async function refreshReplay({ tenant }, response) {
+    if (response.status !== "pending") return response;
+    const invoice = await tenant.storage.invoices.get(response.billNumber);
+    if (!invoice?.redirectUrl) return response;
+    const { statusUrl, ...rest } = response;
+    return { ...rest, status: "ready", redirectUrl: invoice.redirectUrl };
+  }
+
+  // ── Healthcheck ───────────────────────────────────────────
+  app.get("/", (req, res) => res.send("🚀 GoPay API is Running!"));
+  app.use(createHealthRoutes({ config, storage, tenants }));
+
+  // ── Metrics ───────────────────────────────────────────────
+  // Behind admin authentication like the back office; scrape with a
+  // "monitor" API key (X-API-Key) or JWT.
+  metrics.trackCircuits(tenants);
+  app.get("/metrics", authorize("metrics:read"), async (req, res) => {
+    res.set("Content-Type", metrics.registry.contentType);
+    res.send(await metrics.registry.metrics());
+  });
+
+  // ── Abuse Protection ──────────────────────────────────────
+  // Every create-invoice call opens a real GoPay bill, so callers are
+  // limited per IP and per customer, and uploads in flight are capped
+  // across all merchants.
+  const checkoutLimiter = createRateLimiter({
+    store: rateLimitStore,
+    rules: [
+      { name: "ip", ...config.rateLimit.ip, key: (req) => req.ip },
+      {
+        name: "email",
+        ...config.rateLimit.customer,
+        key: (req) => emailKey(req.body.email),
+      },
+      {
+        name: "phone",
+        ...config.rateLimit.customer,
+        key: (req) => phoneKey(req.body.phone),
+      },
+    ],
+    onLimit: (rule) => {
+      metrics.rateLimited.inc({ rule });
+      metrics.invoicesCreated.inc({ outcome: "rate_limited" });
+    },
+  });
+  // Status polls are cheaper but public too; they get their own per-IP
+  // budget so that polling never eats into invoice creation.
+  const statusLimiter = createRateLimiter({
+    store: rateLimitStore,
+    rules: [
+      { name: "status-ip", ...config.rateLimit.status, key: (req) => req.ip },
+    ],
+    onLimit: (rule) => metrics.rateLimited.inc({ rule }),
+  });
+  const uploads = createConcurrencyLimiter(config.uploads);
+  metrics.trackUploads(uploads);
+  const issuer = createInvoiceIssuer({ config, uploads });
+  app.locals.issuer = issuer;
+
+  // Answers a failed GoPay call, with Retry-After when the circuit is open.
+  function sendGoPayError(res, context, err) {
+    logger.error(`${context} failed`, err);
+    if (err.code === "CIRCUIT_OPEN")
+      res.set("Retry-After", String(Math.ceil(err.retryAfterMs / 1000)));
+    res.status(err.status || 500).json({ error: err.data || err.message });
+  }
+
+  // ── Create Invoice Endpoint ───────────────────────────────
+  // Repeats are detected by the Idempotency-Key header, or failing that
+  // by a caller-supplied billNumber, within the chosen merchant.
+  app.post("/api/create-invoice", checkoutLimiter, async (req, res) => {
+    const { requested, context } = selectContext(req, req.body.merchantId);
+    if (!context) {
+      metrics.invoicesCreated.inc({ outcome: "invalid" });
+      return res.status(400).json({
+        error: "Invalid invoice request",
+        fields: [
+          {
+            field: "merchantId",
+            message: requested ? "unknown merchant" : "is required",
+          },
+        ],
+      });
+    }
+    const { idempotency } = context;
+    const idempotencyKey = req.get("Idempotency-Key");
+    let claimKey = null;
+    if (idempotencyKey) claimKey = `key:${idempotencyKey}`;
+    else if (req.body.billNumber) claimKey = `bill:${req.body.billNumber}`;
+    let claimed = false;
+    try {
+      const { errors, input, priced } = prepareInvoice(
+        req.body,
+        config.pricing
+      );
+      if (errors.length) {
+        metrics.invoicesCreated.inc({ outcome: "invalid" });
+        return res
+          .status(400)
+          .json({ error: "Invalid invoice request", fields: errors });
+      }
+
+      let requestedBillNumber = input.billNumber || nextBillNumber();
+      if (claimKey) {
+        const claim = await idempotency.claim(
+          claimKey,
+          fingerprint(req.body),
+          () => requestedBillNumber
+        );
+        if (claim.replay) {
+          metrics.invoicesCreated.inc({ outcome: "replayed" });
+          res.set("Idempotent-Replayed", "true");
+          return res.json(await refreshReplay(context, claim.response));
+        }
+        claimed = true;
+        requestedBillNumber = claim.billNumber;
+      }
+      const issued = await issuer.issue(context, {
+        input,
+        priced,
+        billNumber: requestedBillNumber,
+        request: req.body,
+      });
+      const { billNumber: billNo, status } = issued;
+      const body = {
+        success: true,
+        ...issued,
+        ...(status === "pending" && {
+          statusUrl: `/api/invoice-status/${encodeURIComponent(billNo)}`,
+        }),
+      };
+      if (claimed) await idempotency.complete(claimKey, body);
+      metrics.invoicesCreated.inc({ outcome: status });
+      res.json(body);
+    } catch (err) {
+      if (claimed)
+        await idempotency
+          .release(claimKey)
+          .catch((e) => logger.error("idempotency release failed", e));
+      if (err instanceof RateLimitError) {
+        metrics.rateLimited.inc({ rule: "uploads" });
+        metrics.invoicesCreated.inc({ outcome: "rate_limited" });
+        res.set("Retry-After", retryAfterSeconds(err.retryAfterMs));
+        return res.status(429).json({ error: err.message });
+      }
+      if (err instanceof IdempotencyError) {
+        metrics.invoicesCreated.inc({ outcome: "conflict" });
+        if (err.status === 409) res.set("Retry-After", "1");
+        return res.status(err.status).json({ error: err.message });
+      }
+      if (err instanceof BillOwnershipError) {
+        metrics.invoicesCreated.inc({ outcome: "conflict" });
+        return res.status(err.status).json({ error: err.message });
+      }
+      metrics.invoicesCreated.inc({
+        outcome: err instanceof GoPayError ? "gopay_error" : "error",
+      });
+      sendGoPayError(res, "create-invoice", err);
+    }
+  });
+
+  // ── Invoice Readiness Follow-up ───────────────────────────
+  // Polled by the frontend when create-invoice answered "pending". Only
+  // bills we stored are looked up at GoPay.
+  app.get(
+    "/api/invoice-status/:billNumber",
+    statusLimiter,
+    async (req, res) => {
+      try {
+        const { billNumber } = req.params;
+        const context = await contextForBill(billNumber);
+        const invoice =
+          context && (await context.tenant.storage.invoices.get(billNumber));
+        if (!invoice) return res.status(404).json({ error: "Unknown bill" });
+        const info = await context.tenant.gopay.getBillInfo(billNumber);
+        const redirectUrl = extractRedirectUrl(info);
+        if (redirectUrl)
+          await markAwaitingPayment(
+            context.tenant.storage.invoices,
+            billNumber,
+            redirectUrl,
+            "invoice-status"
+          );
+        res.json({
+          billNumber,
+          status: redirectUrl ? "ready" : "pending",
+          redirectUrl,
+        });
+      } catch (err) {
+        sendGoPayError(res, "invoice-status", err);
+      }
+    }
+  );
+
+  // ── Per-merchant Admin Routes ─────────────────────────────
+  // X-Merchant-Id or ?merchantId chooses whose data is served.
+  const forMerchant = (routes) => (req, res, next) => {
+    const { requested, context } = selectContext(req, req.query.merchantId);
+    if (!context)
+      return res.status(400).json({
+        error: requested ? "Unknown merchant" : "merchantId is required",
+      });
+    req.tenant = context.tenant;
+    context[routes](req, res, next);
+  };
+
+  // ── Invoice Lookup, Changes & Refunds ─────────────────────
+  app.use("/api/invoices", forMerchant("invoiceRoutes"));
+
+  // ── Batch Invoices ────────────────────────────────────────
+  // Bulk uploads share the bill numbers and upload cap with checkout.
+  for (const context of contexts.values())
+    context.batchRoutes = createBatchRoutes({
+      batches: createBatchService({
+        merchant: context,
+        issuer,
+        nextBillNumber,
+        pricing: config.pricing,
+        ...config.batches,
+      }),
+    });
+  app.use("/api/batches", forMerchant("batchRoutes"));
+
+  // ── Outbound Webhook Registry ─────────────────────────────
+  app.use(
+    "/api/webhooks",
+    createWebhookSubscriptionRoutes({ subscriptions, events })
+  );
+
+  // ── GoPay Notification Webhooks ───────────────────────────
+  // Logged durably before processing; identical resends are answered
+  // from the log without touching payments or settlements again.
+  const inboundLog = createInboundLog(db);
+  const processors = Object.fromEntries(
+    ["payment", "settlement"].map((kind) => [
+      kind,
+      async (notification) => {
+        const billNumber = notification?.billNumber;
+        const context = billNumber
+          ? await contextForBill(billNumber)
+          : contexts.get(DEFAULT_MERCHANT);
+        if (context) return context.processors[kind](notification);
+        if (!billNumber)
+          return {
+            outcome: "invalid",
+            status: 400,
+            body: { error: "Missing fields" },
+          };
+        return {
+          outcome: "invalid",
+          status: 404,
+          body: { error: "Unknown bill" },
+        };
+      },
+    ])
+  );
+
+  const notificationRoute = (kind) => async (req, res) => {
+    const count = (outcome) =>
+      metrics.webhookNotifications.inc({ kind, outcome });
+    let entry;
+    try {
+      entry = await inboundLog.receive(kind, req);
+    } catch (e) {
+      logger.error(`${kind}-notification log failed`, e);
+      count("failed");
+      return res.status(500).json({ error: "Internal Server Error" });
+    }
+    if (entry.duplicate) {
+      count("duplicate");
+      return res.json({ status: 200, message: "Duplicate notification" });
+    }
+    try {
+      const result = await processors[kind](req.body);
+      await inboundLog.record(entry.id, result);
+      count(result.outcome);
+      res.status(result.status).json(result.body);
+    } catch (e) {
+      logger.error(`${kind}-notification failed`, e);
+      count("failed");
+      await inboundLog
+        .record(entry.id, { outcome: "failed", status: 500, error: e.message })
+        .catch((err) => logger.error("notification log failed", err));
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  };
+
+  app.post(
+    "/api/payment-notification",
+    webhookVerifier.middleware,
+    notificationRoute("payment")
+  );
+  app.post(
+    "/api/settlement-notification",
+    webhookVerifier.middleware,
+    notificationRoute("settlement")
+  );
+  app.use(
+    "/api/notifications",
+    createNotificationRoutes({ inboundLog, processors })
+  );
+
+  // ── Admin Identity & Audit Trail ──────────────────────────
+  app.use("/api/admin", createAdminRoutes({ auditLog }));
+
+  // ── Finance Reports ───────────────────────────────────────
+  app.use("/api/reports", forMerchant("reportRoutes"));
+
+  return app;
+}
+
+module.exports = { createApp };
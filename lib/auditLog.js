@@ -0,0 +1,89 @@
+const admin = require("firebase-admin");
+const { currentRequestId } = require("./requestContext");
+const { logger, redact } = require("./logger");
+
+// ── Admin Audit Log ─────────────────────────────────────────
+// Every state-changing back-office request is recorded in
+// `admin_audit_log`: who (the authenticated principal), what (method and
+// route), on which merchant and billNumber / id, the request body (PII
+// redacted) and the status it ended with, including refusals. Failed
+// authentication is recorded too, with the reason instead of an actor.
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Text bodies (CSV uploads) can neither be redacted field by field nor be
+// relied on to fit in a document, so only their size is kept.
+const auditBody = (body) =>
+  typeof body === "string"
+    ? `[text body, ${Buffer.byteLength(body)} bytes]`
+    : redact(body ?? null);
+
+function createAuditLog(db) {
+  const log = db.collection("admin_audit_log");
+
+  function record(entry) {
+    return log.add({
+      ...entry,
+      at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  // Mounted after authentication; the entry is written once the response
+  // has gone out, so it never delays or fails the request itself.
+  function trail(req, res, next) {
+    if (READ_METHODS.includes(req.method) || !req.admin) return next();
+    const requestId = currentRequestId();
+    res.on("finish", () => {
+      const params = req.params || {};
+      record({
+        actor: req.admin.id,
+        actorVia: req.admin.via,
+        actorRoles: req.admin.roles,
+        action: `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+        merchantId: req.tenant?.id || null,
+        billNumber: params.billNumber || null,
+        targetId: params.id || null,
+        body: auditBody(req.body),
+        status: res.statusCode,
+        requestId,
+        ip: req.ip || null,
+      }).catch((err) => logger.error("audit log write failed", err));
+    });
+    next();
+  }
+
+  // Called by createAdminAuth for a request it refuses, which never
+  // reaches `trail`. The body has not been read at that point.
+  function refusal(req, reason) {
+    if (READ_METHODS.includes(req.method)) return;
+    record({
+      actor: null,
+      actorVia: null,
+      actorRoles: [],
+      action: `${req.method} ${req.originalUrl.split("?")[0]}`,
+      merchantId: null,
+      billNumber: null,
+      targetId: null,
+      body: null,
+      status: 401,
+      reason,
+      requestId: currentRequestId(),
+      ip: req.ip || null,
+    }).catch((err) => logger.error("audit log write failed", err));
+  }
+
+  return {
+    record,
+    trail,
+    refusal,
+
+    async list({ billNumber, actor, limit = 50 } = {}) {
+      let query = log;
+      if (billNumber) query = query.where("billNumber", "==", billNumber);
+      if (actor) query = query.where("actor", "==", actor);
+      const snap = await query.orderBy("at", "desc").limit(limit).get();
+      return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    },
+  };
+}
+
+module.exports = { createAuditLog };
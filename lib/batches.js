@@ -0,0 +1,363 @@
+const admin = require("firebase-admin");
+const { logger } = require("./logger");
+const { prepareInvoice } = require("./invoiceIssuer");
+const { RateLimitError } = require("./rateLimit");
+const { csvCell } = require("./reconciliation");
+
+// ── Batch Invoices ──────────────────────────────────────────
+// A batch is a JSON array of create-invoice bodies or a CSV file. Every
+// invoice is validated up front and the whole batch refused if any is
+// invalid; a valid one is stored in `invoice_batches` and uploaded in the
+// background, `concurrency` bills at a time. Each row ends up with its
+// billNumber and redirectUrl, or with its error.
+//
+// A batch interrupted by a restart keeps its "queued" rows and stays
+// "processing"; they are not resumed.
+
+// ── CSV input ───────────────────────────────────────────────
+// One line per item. Lines sharing a `reference` make up one invoice and
+// its customer fields come from the first of them; a line without a
+// reference is an invoice of its own.
+const INVOICE_COLUMNS = [
+  "reference",
+  "billNumber",
+  "firstName",
+  "lastName",
+  "email",
+  "phone",
+  "serviceName",
+  "issueDate",
+  "expireDate",
+  "couponCode",
+  "shippingCost",
+  "orderDiscount",
+  "amount",
+];
+// CSV column → item field.
+const ITEM_COLUMNS = {
+  itemId: "id",
+  productName: "productName",
+  quantity: "quantity",
+  unitPrice: "unitPrice",
+  subtotal: "subtotal",
+  discount: "discount",
+  vatRate: "vatRate",
+};
+
+// RFC 4180: quoted fields may hold commas, line breaks and "" for a quote.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else quoted = false;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (quoted) throw new Error("unterminated quoted field");
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Returns { errors: [{ field, message }], invoices: [{ reference, lines,
+// body }] }; `lines` are CSV line numbers, the header being line 1.
+function csvToInvoices(text) {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (err) {
+    return { errors: [{ field: "csv", message: err.message }], invoices: [] };
+  }
+  const [header = [], ...data] = rows;
+  const columns = header.map((name) => name.trim());
+  const known = [...INVOICE_COLUMNS, ...Object.keys(ITEM_COLUMNS)];
+  const errors = columns
+    .filter((name) => !known.includes(name))
+    .map((name) => ({ field: name || "csv", message: "unknown column" }));
+  if (!columns.includes("productName"))
+    errors.push({ field: "productName", message: "column is required" });
+  if (errors.length) return { errors, invoices: [] };
+
+  const groups = new Map();
+  data.forEach((cells, i) => {
+    if (cells.every((cell) => !cell.trim())) return;
+    const line = i + 2;
+    const record = Object.fromEntries(
+      columns.map((name, c) => [name, (cells[c] ?? "").trim()])
+    );
+    const key = record.reference || `line:${line}`;
+    if (!groups.has(key)) {
+      const body = {};
+      for (const name of INVOICE_COLUMNS)
+        if (record[name] && name !== "reference") body[name] = record[name];
+      body.items = [];
+      groups.set(key, { reference: record.reference || null, lines: [], body });
+    }
+    const group = groups.get(key);
+    const item = {};
+    for (const [column, field] of Object.entries(ITEM_COLUMNS))
+      if (record[column]) item[field] = record[column];
+    if (/^\d+$/.test(item.quantity || ""))
+      item.quantity = Number(item.quantity);
+    item.id = item.id || String(group.body.items.length + 1);
+    group.lines.push(line);
+    group.body.items.push(item);
+  });
+  return { errors: [], invoices: [...groups.values()] };
+}
+
+// JSON input: an array of create-invoice bodies, or { invoices: [...] };
+// each may carry a `reference` of the caller's own.
+function jsonToInvoices(body) {
+  const list = Array.isArray(body) ? body : body?.invoices;
+  if (!Array.isArray(list))
+    return {
+      errors: [
+        { field: "invoices", message: "must be an array of invoice requests" },
+      ],
+      invoices: [],
+    };
+  return {
+    errors: [],
+    invoices: list.map((entry) => {
+      const { reference, ...rest } = entry || {};
+      return { reference: reference ? String(reference) : null, body: rest };
+    }),
+  };
+}
+
+// ── Result report (CSV) ─────────────────────────────────────
+const REPORT_COLUMNS = [
+  "row",
+  "reference",
+  "status",
+  "billNumber",
+  "redirectUrl",
+  "error",
+];
+
+function toReportCsv(batch) {
+  const lines = [REPORT_COLUMNS.join(",")];
+  for (const row of batch.rows)
+    lines.push(REPORT_COLUMNS.map((c) => csvCell(row[c])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// ── Batch Service ───────────────────────────────────────────
+/**
+ * @param {Object} options
+ * @param {{ tenant: Object, events: Object }} options.merchant  whose
+ *   GoPay the bills go to and whose data they join
+ * @param {Object} options.issuer  createInvoiceIssuer()
+ * @param {() => string} options.nextBillNumber
+ * @param {Object} options.pricing  config.pricing
+ * @param {number} [options.concurrency=4]  uploads in flight per batch
+ * @param {number} [options.maxInvoices=500]
+ */
+function createBatchService({
+  merchant,
+  issuer,
+  nextBillNumber,
+  pricing,
+  concurrency = 4,
+  maxInvoices = 500,
+  retryLimit = 3,
+}) {
+  const batches = merchant.tenant.storage.db.collection("invoice_batches");
+
+  // Returns { errors, prepared }. `errors` lists every invalid invoice
+  // with its row (and CSV lines) and field errors, so all can be fixed in
+  // one go.
+  function validate(invoices) {
+    const errors = [];
+    const seen = { reference: new Set(), billNumber: new Set() };
+    // True the second time `value` turns up as `field`.
+    const repeated = (field, value) => {
+      if (!value) return false;
+      if (seen[field].has(value)) return true;
+      seen[field].add(value);
+      return false;
+    };
+    const prepared = invoices.map((invoice, i) => {
+      const {
+        errors: fields,
+        input,
+        priced,
+      } = prepareInvoice(invoice.body, pricing);
+      if (repeated("reference", invoice.reference))
+        fields.push({
+          field: "reference",
+          message: "is repeated in the batch",
+        });
+      if (repeated("billNumber", input.billNumber))
+        fields.push({
+          field: "billNumber",
+          message: "is repeated in the batch",
+        });
+      if (fields.length)
+        errors.push({
+          row: i + 1,
+          reference: invoice.reference,
+          ...(invoice.lines && { lines: invoice.lines }),
+          fields,
+        });
+      return { ...invoice, input, priced };
+    });
+    return { errors, prepared };
+  }
+
+  // A full upload queue is waited out rather than failing the row.
+  async function issueRow({ input, priced, body }) {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await issuer.issue(merchant, {
+          input,
+          priced,
+          billNumber: input.billNumber || nextBillNumber(),
+          request: body,
+          source: "batch",
+        });
+      } catch (err) {
+        if (!(err instanceof RateLimitError) || attempt >= retryLimit)
+          throw err;
+        await new Promise((resolve) => setTimeout(resolve, err.retryAfterMs));
+      }
+    }
+  }
+
+  async function run(ref, batch, prepared) {
+    // Saves are chained so that a later state never lands first.
+    let saving = Promise.resolve();
+    const save = (fields) => {
+      saving = saving
+        .then(() => ref.update(fields))
+        .catch((err) => logger.error("batch save failed", err));
+      return saving;
+    };
+
+    let next = 0;
+    const worker = async () => {
+      while (next < prepared.length) {
+        const i = next;
+        next += 1;
+        const row = batch.rows[i];
+        try {
+          const { billNumber, status, redirectUrl } = await issueRow(
+            prepared[i]
+          );
+          Object.assign(row, { status, billNumber, redirectUrl });
+          batch.succeeded += 1;
+        } catch (err) {
+          logger.error("batch invoice failed", {
+            batchId: ref.id,
+            row: row.row,
+            err,
+          });
+          Object.assign(row, {
+            status: "failed",
+            error: err.data?.message || err.message,
+          });
+          batch.failed += 1;
+        }
+        save({
+          rows: batch.rows,
+          succeeded: batch.succeeded,
+          failed: batch.failed,
+        });
+      }
+    };
+    const workers = Math.min(concurrency, prepared.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+    await save({
+      state: "completed",
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    logger.info("batch completed", {
+      batchId: ref.id,
+      total: batch.total,
+      failed: batch.failed,
+    });
+  }
+
+  return {
+    maxInvoices,
+    validate,
+
+    // Stores the batch and starts uploading; resolves once it is stored.
+    async start(prepared, { source, createdBy }) {
+      const batch = {
+        state: "processing",
+        source,
+        createdBy,
+        total: prepared.length,
+        succeeded: 0,
+        failed: 0,
+        rows: prepared.map((invoice, i) => ({
+          row: i + 1,
+          reference: invoice.reference,
+          ...(invoice.lines && { lines: invoice.lines }),
+          status: "queued",
+          billNumber: null,
+          redirectUrl: null,
+          error: null,
+        })),
+      };
+      const ref = await batches.add({
+        ...batch,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        completedAt: null,
+      });
+      run(ref, batch, prepared).catch((err) =>
+        logger.error("batch run failed", { batchId: ref.id, err })
+      );
+      return { id: ref.id, ...batch };
+    },
+
+    async get(id) {
+      const snap = await batches.doc(id).get();
+      return snap.exists ? { id: snap.id, ...snap.data() } : null;
+    },
+
+    // Newest first, without the rows.
+    async list({ limit = 20 } = {}) {
+      const snap = await batches
+        .orderBy("createdAt", "desc")
+        .limit(limit)
+        .get();
+      return snap.docs.map((d) => {
+        const { rows, ...summary } = d.data();
+        return { id: d.id, ...summary };
+      });
+    },
+  };
+}
+
+module.exports = {
+  INVOICE_COLUMNS,
+  ITEM_COLUMNS,
+  parseCsv,
+  csvToInvoices,
+  jsonToInvoices,
+  toReportCsv,
+  createBatchService,
+};
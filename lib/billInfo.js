@@ -0,0 +1,9 @@
+// ── Helper: Pull the pay-page URL out of GoPay's QR text ────
+function extractRedirectUrl(billInfo) {
+  const qrText = billInfo?.data?.qr || "";
+  return (
+    (qrText.match(/https:\/\/.*verify\/bill\?billNumber=\w+/) || [])[0] || null
+  );
+}
+
+module.exports = { extractRedirectUrl };
@@ -0,0 +1,34 @@
+const crypto = require("crypto");
+
+// ── Bill Number Formats ─────────────────────────────────────
+// numeric → <prefix><ms timestamp><2-digit sequence><4 random digits>
+// uuid    → <prefix><32 hex chars>
+// Both stay within \w so the verify URL in GoPay's QR text still parses.
+const FORMATS = ["numeric", "uuid"];
+
+function createBillNumberGenerator({ prefix = "", format = "numeric" } = {}) {
+  if (!/^\w*$/.test(prefix))
+    throw new Error(
+      `Invalid bill number prefix "${prefix}" (use [A-Za-z0-9_])`
+    );
+  if (!FORMATS.includes(format))
+    throw new Error(
+      `Invalid bill number format "${format}" (expected ${FORMATS.join(", ")})`
+    );
+
+  let sequence = 0;
+  return function nextBillNumber() {
+    if (format === "uuid")
+      return prefix + crypto.randomUUID().replace(/-/g, "");
+    sequence = (sequence + 1) % 100;
+    const random = crypto.randomInt(0, 10000);
+    return (
+      prefix +
+      Date.now().toString() +
+      String(sequence).padStart(2, "0") +
+      String(random).padStart(4, "0")
+    );
+  };
+}
+
+module.exports = { FORMATS, createBillNumberGenerator };
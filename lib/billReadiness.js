@@ -0,0 +1,55 @@
+const { extractRedirectUrl } = require("./billInfo");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ── Poll /bill/info until the pay-page URL shows up ─────────
+// GoPay needs a moment after /simple/upload before the bill's QR text
+// carries the verify URL. We poll with exponential backoff and give up
+// at `deadlineMs`, returning status "pending" so the caller can hand the
+// frontend a follow-up endpoint instead of a null redirect.
+//
+// Each lookup gets whatever time is left as its timeout and no retries
+// of its own, so a slow or failing GoPay cannot hold the caller past
+// `deadlineMs`.
+//
+// Never rejects: the bill already exists at GoPay, so a failing
+// /bill/info only delays the URL. `lastError` tells the caller why.
+async function waitForRedirectUrl(gopay, billNumber, options = {}) {
+  const {
+    initialDelayMs = 500,
+    maxDelayMs = 2000,
+    factor = 2,
+    deadlineMs = 8000,
+    now = Date.now,
+    wait = sleep,
+  } = options;
+  const deadline = now() + deadlineMs;
+  let delay = initialDelayMs;
+  let attempts = 0;
+  let lastError = null;
+
+  for (;;) {
+    const remaining = deadline - now();
+    if (remaining <= 0) break;
+    await wait(Math.min(delay, remaining));
+    delay = Math.min(delay * factor, maxDelayMs);
+    const timeoutMs = deadline - now();
+    if (timeoutMs <= 0) break;
+    attempts++;
+    try {
+      const info = await gopay.getBillInfo(billNumber, {
+        retries: 0,
+        timeoutMs,
+      });
+      lastError = null;
+      const redirectUrl = extractRedirectUrl(info);
+      if (redirectUrl) return { status: "ready", redirectUrl, attempts };
+    } catch (err) {
+      lastError = err;
+    }
+  }
+
+  return { status: "pending", redirectUrl: null, attempts, lastError };
+}
+
+module.exports = { waitForRedirectUrl };
@@ -0,0 +1,104 @@
+const { logger: defaultLogger } = require("./logger");
+
+// ── Circuit Breaker ─────────────────────────────────────────
+// closed    → calls go through; `failureThreshold` consecutive failures
+//             open the circuit
+// open      → calls are rejected at once for `resetTimeoutMs`
+// half-open → a single trial call is let through; success closes the
+//             circuit, failure opens it again
+const STATES = ["closed", "open", "half-open"];
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAfterMs) {
+    super(`${name} circuit is open`);
+    this.name = "CircuitOpenError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} [options.name="upstream"]  used in logs and errors
+ * @param {number} [options.failureThreshold=5]
+ * @param {number} [options.resetTimeoutMs=30000]
+ * @param {(err: Error) => boolean} [options.isFailure]  errors that do
+ *   not count (e.g. a 4xx answer) still reject, but leave the circuit be
+ */
+function createCircuitBreaker({
+  name = "upstream",
+  failureThreshold = 5,
+  resetTimeoutMs = 30000,
+  isFailure = () => true,
+  now = Date.now,
+  logger = defaultLogger,
+} = {}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+  const counts = { opened: 0, rejected: 0 };
+
+  function open(err) {
+    state = "open";
+    openedAt = now();
+    counts.opened += 1;
+    logger.warn(`${name} circuit open`, { failures, err });
+  }
+
+  function close() {
+    if (state !== "closed") logger.info(`${name} circuit closed`);
+    state = "closed";
+    failures = 0;
+    openedAt = null;
+  }
+
+  const retryAfterMs = () =>
+    state === "open" ? Math.max(0, openedAt + resetTimeoutMs - now()) : 0;
+
+  // An open circuit turns half-open once its reset timeout has passed.
+  function currentState() {
+    if (state === "open" && retryAfterMs() === 0) state = "half-open";
+    return state;
+  }
+
+  async function exec(fn) {
+    currentState();
+    if (state === "open" || (state === "half-open" && trialInFlight)) {
+      counts.rejected += 1;
+      throw new CircuitOpenError(name, retryAfterMs() || resetTimeoutMs);
+    }
+
+    const trial = state === "half-open";
+    if (trial) trialInFlight = true;
+    try {
+      const result = await fn();
+      close();
+      return result;
+    } catch (err) {
+      if (isFailure(err)) {
+        failures += 1;
+        lastError = { message: err.message, at: new Date(now()).toISOString() };
+        if (trial || failures >= failureThreshold) open(err);
+      } else if (trial) close();
+      throw err;
+    } finally {
+      if (trial) trialInFlight = false;
+    }
+  }
+
+  return {
+    exec,
+    state: currentState,
+    stats: () => ({
+      state: currentState(),
+      failures,
+      openedAt: openedAt && new Date(openedAt).toISOString(),
+      retryAfterMs: retryAfterMs(),
+      lastError,
+      ...counts,
+    }),
+  };
+}
+
+module.exports = { STATES, CircuitOpenError, createCircuitBreaker };
@@ -0,0 +1,233 @@
+const fs = require("fs");
+const { parseRate } = require("./money");
+const { DEFAULT_VAT_RATE_BP } = require("./pricing");
+const { BACKENDS } = require("./storage");
+const { LEVELS } = require("./logger");
+const { parseApiKeys } = require("./adminAuth");
+const { DEFAULT_MERCHANT, parseMerchants } = require("./tenants");
+
+// ── Server Modes ────────────────────────────────────────────
+// localhost  → LOCAL_* variables override the shared ones and the
+//              service account may be read from serviceAccountKey.json
+// serverside → shared variables only, service account from ENV
+// production → same as serverside; the default when NODE_ENV=production
+const MODES = ["localhost", "serverside", "production"];
+
+function resolveMode(env) {
+  const mode = env.SERVER_MODE;
+  if (mode) {
+    if (!MODES.includes(mode))
+      throw new Error(
+        `Invalid SERVER_MODE "${mode}" (expected ${MODES.join(", ")})`
+      );
+    return mode;
+  }
+  return env.NODE_ENV === "production" ? "production" : "localhost";
+}
+
+// ── VAT rates ("0.15") → basis points ───────────────────────
+function rateFromEnv(env, name, fallbackBp) {
+  if (!env[name]) return fallbackBp;
+  const bp = parseRate(env[name]);
+  if (bp === null)
+    throw new Error(`Invalid ${name} "${env[name]}" (expected 0 to 1)`);
+  return bp;
+}
+
+// ── TRUST_PROXY → Express "trust proxy" ─────────────────────
+// A hop count ("1"), "true", or addresses / names ("loopback,10.0.0.0/8").
+// Express reads a string as addresses only, so counts become numbers.
+function trustProxyFromEnv(value) {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// ── Load Configuration from ENV ─────────────────────────────
+function loadConfig(env = process.env) {
+  const mode = resolveMode(env);
+  const isLocal = mode === "localhost";
+  const pick = (name) => (isLocal && env[`LOCAL_${name}`]) || env[name];
+  const list = (value) =>
+    (value || "")
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+
+  const storageBackend = env.STORAGE_BACKEND || "firestore";
+  if (!BACKENDS.includes(storageBackend))
+    throw new Error(
+      `Invalid STORAGE_BACKEND "${storageBackend}" (expected ${BACKENDS.join(", ")})`
+    );
+
+  // The GOPAY_* merchant is "default"; it is left out only when MERCHANTS
+  // is given and none of its settings are.
+  const gopayBaseUrl = pick("API_BASE_URL");
+  const defaultMerchant = {
+    id: DEFAULT_MERCHANT,
+    baseUrl: gopayBaseUrl,
+    username: pick("GOPAY_USERNAME"),
+    password: pick("GOPAY_PASSWORD"),
+    entityActivityId: pick("ENTITY_ACTIVITY_ID"),
+  };
+  const merchants = parseMerchants(
+    pick("MERCHANTS") ||
+      (env.MERCHANTS_FILE && fs.readFileSync(env.MERCHANTS_FILE, "utf8"))
+  ).map((merchant) => ({
+    ...merchant,
+    baseUrl: merchant.baseUrl || gopayBaseUrl,
+  }));
+  const hasDefaultMerchant =
+    !merchants.length ||
+    Boolean(defaultMerchant.username || defaultMerchant.entityActivityId);
+
+  const logLevel = env.LOG_LEVEL || "info";
+  if (!(logLevel in LEVELS))
+    throw new Error(
+      `Invalid LOG_LEVEL "${logLevel}" (expected ${Object.keys(LEVELS).join(", ")})`
+    );
+
+  const defaultVatRateBp = rateFromEnv(
+    env,
+    "DEFAULT_VAT_RATE",
+    DEFAULT_VAT_RATE_BP
+  );
+
+  return {
+    mode,
+    port: Number(env.PORT) || 5001,
+    trustProxy: trustProxyFromEnv(env.TRUST_PROXY),
+    logLevel,
+    storage: {
+      backend: storageBackend,
+      file: env.STORAGE_FILE || "local-store.json",
+    },
+    gopay: {
+      baseUrl: gopayBaseUrl,
+      username: pick("GOPAY_USERNAME"),
+      password: pick("GOPAY_PASSWORD"),
+      entityActivityId: pick("ENTITY_ACTIVITY_ID"),
+      timeoutMs: Number(env.GOPAY_TIMEOUT_MS) || 15000,
+      readTimeoutMs: Number(env.GOPAY_READ_TIMEOUT_MS) || 5000,
+      retries: Number(env.GOPAY_RETRIES ?? 2),
+      retryDelayMs: Number(env.GOPAY_RETRY_DELAY_MS ?? 200),
+      breaker: {
+        failureThreshold: Number(env.GOPAY_BREAKER_THRESHOLD) || 5,
+        resetTimeoutMs: Number(env.GOPAY_BREAKER_RESET_MS) || 30000,
+      },
+    },
+    merchants: hasDefaultMerchant ? [defaultMerchant, ...merchants] : merchants,
+    // Per client IP and per customer email / phone on create-invoice, per
+    // IP on invoice-status; a max of 0 turns the limit off.
+    rateLimit: {
+      ip: {
+        max: Number(env.RATE_LIMIT_IP_MAX ?? 20),
+        windowMs: Number(env.RATE_LIMIT_IP_WINDOW_MS) || 60 * 1000,
+      },
+      status: {
+        max: Number(env.RATE_LIMIT_STATUS_MAX ?? 60),
+        windowMs: Number(env.RATE_LIMIT_STATUS_WINDOW_MS) || 60 * 1000,
+      },
+      customer: {
+        max: Number(env.RATE_LIMIT_CUSTOMER_MAX ?? 5),
+        windowMs: Number(env.RATE_LIMIT_CUSTOMER_WINDOW_MS) || 10 * 60 * 1000,
+      },
+    },
+    // GoPay bill uploads in flight at once (0 = no cap) and how many may
+    // wait, for how long, before being answered 429.
+    uploads: {
+      concurrency: Number(env.GOPAY_UPLOAD_CONCURRENCY ?? 10),
+      queueMax: Number(env.GOPAY_UPLOAD_QUEUE_MAX ?? 50),
+      queueTimeoutMs: Number(env.GOPAY_UPLOAD_QUEUE_TIMEOUT_MS) || 10000,
+    },
+    // POST /api/batches: invoices per batch, GoPay uploads in flight per
+    // batch and the largest JSON / CSV body accepted.
+    batches: {
+      maxInvoices: Number(env.BATCH_MAX_INVOICES) || 500,
+      concurrency: Number(env.BATCH_CONCURRENCY) || 4,
+      maxBodyBytes: Number(env.BATCH_MAX_BODY_BYTES) || 2 * 1024 * 1024,
+    },
+    billPolling: {
+      initialDelayMs: Number(env.BILL_POLL_INITIAL_DELAY_MS) || 500,
+      maxDelayMs: Number(env.BILL_POLL_MAX_DELAY_MS) || 2000,
+      factor: Number(env.BILL_POLL_BACKOFF_FACTOR) || 2,
+      deadlineMs: Number(env.BILL_POLL_DEADLINE_MS) || 8000,
+    },
+    pricing: {
+      defaultVatRateBp,
+      shippingVatRateBp: rateFromEnv(
+        env,
+        "SHIPPING_VAT_RATE",
+        defaultVatRateBp
+      ),
+    },
+    billNumbers: {
+      prefix: env.BILL_NUMBER_PREFIX || "",
+      format: env.BILL_NUMBER_FORMAT || "numeric",
+    },
+    idempotency: {
+      lockMs: Number(env.IDEMPOTENCY_LOCK_MS) || 60000,
+    },
+    expiry: {
+      intervalMs: Number(env.EXPIRY_SWEEP_INTERVAL_MS ?? 15 * 60 * 1000),
+      reissue: env.EXPIRY_REISSUE === "true",
+      reissueDays: Number(env.EXPIRY_REISSUE_DAYS) || 7,
+    },
+    health: {
+      probeGoPay: env.READINESS_PROBE_GOPAY === "true",
+      timeoutMs: Number(env.READINESS_TIMEOUT_MS) || 2000,
+    },
+    reconciliation: {
+      intervalMs: Number(env.RECONCILIATION_INTERVAL_MS ?? 24 * 60 * 60 * 1000),
+      windowDays: Number(env.RECONCILIATION_WINDOW_DAYS) || 30,
+      unsettledDays: Number(env.RECONCILIATION_UNSETTLED_DAYS ?? 3),
+      knownBankIds: list(env.KNOWN_BANK_IDS),
+    },
+    outboundWebhooks: {
+      maxAttempts: Number(env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 5,
+      baseDelayMs: Number(env.OUTBOUND_WEBHOOK_BASE_DELAY_MS) || 1000,
+      timeoutMs: Number(env.OUTBOUND_WEBHOOK_TIMEOUT_MS) || 5000,
+    },
+    // Checkout routes: CORS_ORIGINS="https://shop.example.com,…", or any
+    // origin on a developer machine. Elsewhere no browser may call them
+    // until it is set (server.js warns). Admin routes: ADMIN_CORS_ORIGINS
+    // only.
+    cors: {
+      checkoutOrigins: env.CORS_ORIGINS ? list(env.CORS_ORIGINS) : isLocal,
+      adminOrigins: list(env.ADMIN_CORS_ORIGINS),
+    },
+    admin: {
+      apiKeys: parseApiKeys(pick("ADMIN_API_KEYS")),
+      jwt: {
+        secret: pick("ADMIN_JWT_SECRET"),
+        issuer: env.ADMIN_JWT_ISSUER,
+        audience: env.ADMIN_JWT_AUDIENCE,
+      },
+    },
+    webhooks: {
+      secret: pick("WEBHOOK_SECRET"),
+      allowedIps: list(env.WEBHOOK_ALLOWED_IPS),
+      toleranceSeconds: Number(env.WEBHOOK_TOLERANCE_SECONDS) || 300,
+    },
+    defaults: {
+      customerEmail: env.DEFAULT_CUSTOMER_EMAIL || "no-reply@domain.com",
+      customerPhone: env.DEFAULT_CUSTOMER_PHONE || "0000000000",
+    },
+  };
+}
+
+// ── Load GCP Service Account ────────────────────────────────
+// Returns null when no credentials are available; the caller decides
+// whether that is fatal.
+function loadServiceAccount(config, env = process.env) {
+  if (env.GCP_SERVICE_ACCOUNT_JSON)
+    return JSON.parse(env.GCP_SERVICE_ACCOUNT_JSON);
+  if (config.mode !== "localhost") return null;
+  try {
+    return require("../serviceAccountKey.json");
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = { MODES, loadConfig, loadServiceAccount };
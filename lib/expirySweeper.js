@@ -0,0 +1,138 @@
+const { fetchBill, billStatusOf, isPaidStatus } = require("./paymentCheck");
+const { InvalidTransitionError } = require("./invoiceLifecycle");
+const { logger } = require("./logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isoDate = (ms) => new Date(ms).toISOString().split("T")[0];
+
+// ── Expiry sweeper ──────────────────────────────────────────
+// Periodically moves outstanding invoices past their expireDate to
+// "expired". A bill GoPay reports as paid is left alone for the payment
+// webhook to settle. With `reissue` on, each expired invoice is issued
+// again under a new billNumber, valid for `reissueDays`, through the
+// same issuer (upload cap, invoice.created, pay-page poll) as checkout.
+// The new billNumber is reserved as the invoice expires (reissuePending),
+// so an upload that fails is retried, under the same number, by the
+// next sweep.
+function createExpirySweeper({
+  tenant,
+  events,
+  issuer,
+  nextBillNumber,
+  intervalMs = 15 * 60 * 1000,
+  reissue = false,
+  reissueDays = 7,
+  now = Date.now,
+}) {
+  const { invoices } = tenant.storage;
+  const { gopay } = tenant;
+  let timer = null;
+
+  // Resolves the billNumber the invoice was issued again under.
+  async function reissueInvoice(invoice) {
+    const {
+      billNumber,
+      invoiceRequest,
+      reissueBillNumber,
+      reissuePending,
+      state,
+      history,
+      createdAt,
+      updatedAt,
+      gopayResponse,
+      redirectUrl,
+      ...rest
+    } = invoice;
+    // Stored by an earlier sweep that failed before linking it.
+    let reissuedAs = (await invoices.get(reissueBillNumber))
+      ? reissueBillNumber
+      : null;
+    if (!reissuedAs) {
+      const issued = await issuer.uploadInvoice(
+        { tenant, events },
+        {
+          invoiceRequest: {
+            ...invoiceRequest,
+            billNumber: reissueBillNumber,
+            issueDate: isoDate(now()),
+            expireDate: isoDate(now() + reissueDays * DAY_MS),
+          },
+          fields: { ...rest, reissuedFrom: billNumber },
+          source: "expiry-reissue",
+        }
+      );
+      reissuedAs = issued.billNumber;
+    }
+    await invoices.update(billNumber, { reissuedAs, reissuePending: false }, [
+      "expired",
+    ]);
+    return reissuedAs;
+  }
+
+  // One pass; resolves with the billNumbers acted on.
+  async function sweepOnce() {
+    const result = { expired: [], skipped: [], reissued: [] };
+    for (const invoice of await invoices.listExpired(isoDate(now()))) {
+      const { billNumber } = invoice;
+      try {
+        const bill = await fetchBill(gopay, billNumber);
+        if (bill && isPaidStatus(billStatusOf(bill))) {
+          result.skipped.push(billNumber);
+          continue;
+        }
+        await invoices.transition(billNumber, "expired", {
+          source: "expiry-sweeper",
+          fields: reissue
+            ? { reissuePending: true, reissueBillNumber: nextBillNumber() }
+            : {},
+        });
+        result.expired.push(billNumber);
+        events.publish("invoice.expired", {
+          billNumber,
+          expireDate: invoice.invoiceRequest?.expireDate || null,
+        });
+      } catch (err) {
+        if (err instanceof InvalidTransitionError) {
+          result.skipped.push(billNumber);
+          continue;
+        }
+        logger.error("expiry sweep failed for invoice", { billNumber, err });
+      }
+    }
+    // This pass's expiries and any an earlier pass failed to reissue.
+    if (reissue)
+      for (const invoice of await invoices.listPendingReissue()) {
+        try {
+          result.reissued.push(await reissueInvoice(invoice));
+        } catch (err) {
+          logger.error("expiry reissue failed for invoice", {
+            billNumber: invoice.billNumber,
+            err,
+          });
+        }
+      }
+    if (result.expired.length || result.reissued.length)
+      logger.info("expiry sweep", {
+        expired: result.expired.length,
+        reissued: result.reissued.length,
+      });
+    return result;
+  }
+
+  return {
+    sweepOnce,
+    start() {
+      if (timer || !intervalMs) return;
+      timer = setInterval(() => {
+        sweepOnce().catch((e) => logger.error("expiry sweep failed", e));
+      }, intervalMs);
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = { createExpirySweeper };
@@ -0,0 +1,13 @@
+// ── Firestore → JSON ────────────────────────────────────────
+// Firestore Timestamps serialize as { _seconds, _nanoseconds }; API
+// responses carry ISO strings instead.
+function toJson(value) {
+  if (value === null || typeof value !== "object") return value;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toJson);
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [k, toJson(v)])
+  );
+}
+
+module.exports = { toJson };
@@ -0,0 +1,224 @@
+const axios = require("axios");
+const { CircuitOpenError, createCircuitBreaker } = require("./circuitBreaker");
+const { currentRequestId } = require("./requestContext");
+
+// ── Error type ──────────────────────────────────────────────
+// Every failed GoPay call surfaces as a GoPayError. `status` is the HTTP
+// status GoPay answered with (undefined for network errors / timeouts)
+// and `data` is GoPay's response body, preserved untouched. While the
+// circuit is open calls fail fast with status 503 and code CIRCUIT_OPEN.
+class GoPayError extends Error {
+  constructor(message, { status, data, code, retryAfterMs } = {}) {
+    super(message);
+    this.name = "GoPayError";
+    this.status = status;
+    this.data = data;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function toGoPayError(err, operation) {
+  if (err instanceof GoPayError) return err;
+  if (err instanceof CircuitOpenError)
+    return new GoPayError("GoPay is unavailable, please retry later", {
+      status: 503,
+      code: "CIRCUIT_OPEN",
+      retryAfterMs: err.retryAfterMs,
+    });
+  if (err.response)
+    return new GoPayError(
+      `GoPay ${operation} failed with status ${err.response.status}`,
+      { status: err.response.status, data: err.response.data, code: err.code }
+    );
+  return new GoPayError(`GoPay ${operation} failed: ${err.message}`, {
+    code: err.code,
+  });
+}
+
+// Network errors, timeouts and 5xx answers; a 4xx means GoPay is up.
+const isTransient = (err) => !err.status || err.status >= 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @typedef {Object} BillItem
+ * @property {string} reference
+ * @property {string} name
+ * @property {number} quantity
+ * @property {string} unitPrice   decimal string, e.g. "10.00"
+ * @property {number} discount
+ * @property {string} vat         rate as a decimal string, e.g. "0.15"
+ */
+
+/**
+ * @typedef {Object} BillRequest
+ * @property {string} billNumber
+ * @property {string} entityActivityId
+ * @property {string} customerFullName
+ * @property {string} customerEmailAddress
+ * @property {string} customerMobileNumber
+ * @property {string} issueDate    YYYY-MM-DD
+ * @property {string} expireDate   YYYY-MM-DD
+ * @property {string} serviceName
+ * @property {BillItem[]} billItemList
+ * @property {string} totalAmount
+ * @property {boolean} isPublicView
+ * @property {boolean} showOnlinePayNowButton
+ */
+
+// ── Client Factory ──────────────────────────────────────────
+/**
+ * @param {Object} options
+ * @param {string} options.baseUrl
+ * @param {string} options.username
+ * @param {string} options.password
+ * @param {number} [options.timeoutMs=15000]  writes (upload, cancel, …)
+ * @param {number} [options.readTimeoutMs=5000]  bill lookups
+ * @param {number} [options.retries=2]  extra attempts for reads that
+ *   failed transiently; writes are never retried
+ * @param {number} [options.retryDelayMs=200]  doubled per attempt
+ * @param {{ failureThreshold?: number, resetTimeoutMs?: number }}
+ *   [options.breaker]
+ * @param {Object} [options.metrics]  from createMetrics; records latency
+ */
+function createGoPayClient({
+  baseUrl,
+  username,
+  password,
+  timeoutMs = 15000,
+  readTimeoutMs = 5000,
+  retries = 2,
+  retryDelayMs = 200,
+  breaker: breakerOptions = {},
+  metrics = null,
+  wait = sleep,
+}) {
+  const http = axios.create({
+    baseURL: baseUrl,
+    timeout: timeoutMs,
+    headers: { "Content-Type": "application/json", username, password },
+  });
+  const breaker = createCircuitBreaker({
+    name: "GoPay",
+    ...breakerOptions,
+    isFailure: isTransient,
+  });
+
+  // The caller's request ID travels to GoPay as X-Request-Id.
+  async function send(operation, config) {
+    const requestId = currentRequestId();
+    const done = metrics?.gopayDuration.startTimer({ operation });
+    try {
+      const res = await http.request({
+        ...config,
+        headers: requestId ? { "X-Request-Id": requestId } : undefined,
+      });
+      done?.({ status: res.status });
+      return res.data;
+    } catch (err) {
+      const gopayErr = toGoPayError(err, operation);
+      done?.({ status: gopayErr.status || "network" });
+      throw gopayErr;
+    }
+  }
+
+  // A call counts once against the breaker, however many attempts it
+  // took. Only idempotent lookups pass `retries`.
+  async function request(operation, config, { retries: extra = 0 } = {}) {
+    try {
+      return await breaker.exec(async () => {
+        for (let i = 0; ; i += 1) {
+          try {
+            return await send(operation, config);
+          } catch (err) {
+            if (i >= extra || !isTransient(err)) throw err;
+            await wait(retryDelayMs * 2 ** i);
+          }
+        }
+      });
+    } catch (err) {
+      throw toGoPayError(err, operation);
+    }
+  }
+
+  return {
+    /** Circuit breaker state for health reporting. */
+    circuit: () => breaker.stats(),
+
+    /**
+     * Upload a new bill. Resolves with GoPay's response body.
+     * @param {BillRequest} bill
+     */
+    uploadBill(bill) {
+      return request("uploadBill", {
+        method: "post",
+        url: "/simple/upload",
+        data: bill,
+      });
+    },
+
+    /**
+     * Fetch a bill's current details, including the `qr` payload.
+     * @param {string} billNumber
+     * @param {{ retries?: number, timeoutMs?: number }} [options]  override
+     *   the client's read retries and timeout, e.g. to fit a caller's own
+     *   deadline
+     */
+    getBillInfo(
+      billNumber,
+      { retries: extra = retries, timeoutMs: timeout = readTimeoutMs } = {}
+    ) {
+      return request(
+        "getBillInfo",
+        {
+          method: "get",
+          url: "/bill/info",
+          params: { billNumber },
+          timeout,
+        },
+        { retries: extra }
+      );
+    },
+
+    /**
+     * Withdraw an unpaid bill.
+     * @param {string} billNumber
+     */
+    cancelBill(billNumber) {
+      return request("cancelBill", {
+        method: "post",
+        url: "/bill/cancel",
+        data: { billNumber },
+      });
+    },
+
+    /**
+     * Refund part or all of a paid bill.
+     * @param {{ billNumber: string, amount: string, reason?: string,
+     *           refundReference: string }} refund
+     */
+    refundBill(refund) {
+      return request("refundBill", {
+        method: "post",
+        url: "/bill/refund",
+        data: refund,
+      });
+    },
+
+    /**
+     * Replace an unpaid bill's details (e.g. a new expireDate). GoPay
+     * expects the full bill, as for uploadBill.
+     * @param {BillRequest} bill
+     */
+    updateBill(bill) {
+      return request("updateBill", {
+        method: "post",
+        url: "/simple/update",
+        data: bill,
+      });
+    },
+  };
+}
+
+module.exports = { GoPayError, createGoPayClient };
@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+
+class IdempotencyError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "IdempotencyError";
+    this.status = status;
+  }
+}
+
+// ── Payload fingerprint ─────────────────────────────────────
+// Keys are sorted so that field order does not change the hash.
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object")
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  return JSON.stringify(value);
+}
+
+const fingerprint = (payload) =>
+  crypto.createHash("sha256").update(stableStringify(payload)).digest("hex");
+
+// ── Firestore-backed key store ──────────────────────────────
+// One document per key in `idempotency_keys`. A key moves through
+// in-progress → completed, or back to failed so a retry may run again
+// with the same billNumber. In-progress locks older than `lockMs` are
+// treated as failed (the owning request died).
+function createIdempotencyStore(db, { lockMs = 60000 } = {}) {
+  const keys = db.collection("idempotency_keys");
+  const docFor = (key) =>
+    keys.doc(crypto.createHash("sha256").update(key).digest("hex"));
+
+  return {
+    // Resolves { replay: true, response } for a completed key, or
+    // { replay: false, billNumber } when the caller should proceed.
+    async claim(key, payloadFingerprint, nextBillNumber) {
+      const ref = docFor(key);
+      return db.runTransaction(async (t) => {
+        const snap = await t.get(ref);
+        const now = Date.now();
+        if (snap.exists) {
+          const record = snap.data();
+          if (record.fingerprint !== payloadFingerprint)
+            throw new IdempotencyError(
+              "Idempotency key was already used with a different payload",
+              422
+            );
+          if (record.state === "completed")
+            return { replay: true, response: record.response };
+          if (record.state === "in-progress" && now - record.lockedAt < lockMs)
+            throw new IdempotencyError(
+              "A request with this idempotency key is still in progress",
+              409
+            );
+          t.update(ref, { state: "in-progress", lockedAt: now });
+          return { replay: false, billNumber: record.billNumber };
+        }
+        const billNumber = nextBillNumber();
+        t.set(ref, {
+          key,
+          fingerprint: payloadFingerprint,
+          billNumber,
+          state: "in-progress",
+          lockedAt: now,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return { replay: false, billNumber };
+      });
+    },
+
+    complete(key, response) {
+      return docFor(key).update({
+        state: "completed",
+        response,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    },
+
+    release(key) {
+      return docFor(key).update({ state: "failed" });
+    },
+  };
+}
+
+module.exports = { IdempotencyError, fingerprint, createIdempotencyStore };
@@ -0,0 +1,80 @@
+const admin = require("firebase-admin");
+const { fingerprint } = require("./idempotency");
+
+// A notification still marked "received" after this long belonged to a
+// request that died mid-processing and may be taken over.
+const STALE_RECEIVED_MS = 60 * 1000;
+const FINAL_OUTCOMES = ["processed", "flagged", "invalid"];
+
+// ── Durable inbound notification log ────────────────────────
+// Every verified GoPay notification is written to
+// `inbound_notifications` before it is processed. The document id is
+// the event key — a hash of the kind and body — so a byte-identical
+// resend maps onto the same document and is answered as a duplicate
+// once the first copy has been handled.
+function createInboundLog(db) {
+  const log = db.collection("inbound_notifications");
+  const now = () => admin.firestore.FieldValue.serverTimestamp();
+
+  return {
+    // Resolves { id, duplicate }.
+    async receive(kind, req) {
+      const id = fingerprint({ kind, body: req.body });
+      const ref = log.doc(id);
+      return db.runTransaction(async (t) => {
+        const snap = await t.get(ref);
+        const nowMs = Date.now();
+        if (snap.exists) {
+          const entry = snap.data();
+          const inFlight =
+            entry.status === "received" &&
+            nowMs - entry.receivedAtMs < STALE_RECEIVED_MS;
+          t.update(ref, {
+            receiveCount: (entry.receiveCount || 1) + 1,
+            lastReceivedAt: now(),
+          });
+          if (FINAL_OUTCOMES.includes(entry.status) || inFlight)
+            return { id, duplicate: true };
+          t.update(ref, { status: "received", receivedAtMs: nowMs });
+          return { id, duplicate: false };
+        }
+        t.set(ref, {
+          kind,
+          body: req.body,
+          rawBody: req.rawBody || null,
+          ip: req.ip || null,
+          status: "received",
+          receiveCount: 1,
+          receivedAt: now(),
+          receivedAtMs: nowMs,
+        });
+        return { id, duplicate: false };
+      });
+    },
+
+    record(id, { outcome, status, body, error }) {
+      return log.doc(id).update({
+        status: outcome,
+        httpStatus: status,
+        response: body ?? null,
+        error: error ?? null,
+        processedAt: now(),
+      });
+    },
+
+    async get(id) {
+      const snap = await log.doc(id).get();
+      return snap.exists ? { id, ...snap.data() } : null;
+    },
+
+    async list({ status, kind, limit = 50 } = {}) {
+      let query = log;
+      if (status) query = query.where("status", "==", status);
+      if (kind) query = query.where("kind", "==", kind);
+      const snap = await query.limit(limit).get();
+      return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    },
+  };
+}
+
+module.exports = { createInboundLog };
@@ -0,0 +1,163 @@
+const { GoPayError } = require("./gopayClient");
+const { logger } = require("./logger");
+const { waitForRedirectUrl } = require("./billReadiness");
+const { InvalidTransitionError } = require("./invoiceLifecycle");
+const { validateCreateInvoice } = require("./validation");
+const { priceInvoice, buildBillItems, formatBreakdown } = require("./pricing");
+const { formatMinor } = require("./money");
+
+// ── Invoice Issuing ─────────────────────────────────────────
+// Shared by create-invoice, batch uploads and the expiry sweeper:
+// validate and price a cart, then upload the bill to the merchant's
+// GoPay, store the invoice and wait (briefly) for its payment page.
+
+// Returns { errors, input, priced }; `priced` is null when `errors` is
+// not empty.
+function prepareInvoice(body, pricing) {
+  const { errors, value: input } = validateCreateInvoice(body);
+  const priced = errors.length ? null : priceInvoice(input, pricing);
+  if (
+    priced &&
+    input.amountMinor !== null &&
+    input.amountMinor !== priced.totalMinor
+  )
+    errors.push({
+      field: "amount",
+      message: `does not match computed total ${formatMinor(
+        priced.totalMinor
+      )}`,
+    });
+  return { errors, input, priced: errors.length ? null : priced };
+}
+
+// Concurrent pollers may race to this transition; losing is harmless.
+async function markAwaitingPayment(invoices, billNumber, redirectUrl, source) {
+  try {
+    await invoices.transition(billNumber, "awaiting-payment", {
+      source,
+      fields: { redirectUrl },
+    });
+  } catch (err) {
+    if (!(err instanceof InvalidTransitionError)) throw err;
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.config  loadConfig() result
+ * @param {Object} options.uploads  createConcurrencyLimiter() shared by
+ *   every caller, so GoPay sees a bounded number of uploads
+ */
+function createInvoiceIssuer({ config, uploads }) {
+  /**
+   * Claims the billNumber for the tenant, uploads `invoiceRequest`,
+   * stores it as an invoice together with `fields` and waits (briefly)
+   * for its payment page. Resolves { billNumber, status: "ready" |
+   * "pending", redirectUrl }. Throws BillOwnershipError, GoPayError, or
+   * RateLimitError when the upload queue is full, only while the bill is
+   * not yet uploaded; once it is, the answer is at worst "pending".
+   *
+   * @param {{ tenant: Object, events: Object }} merchant  the tenant and
+   *   its scoped event publisher
+   */
+  async function uploadInvoice(
+    { tenant, events },
+    { invoiceRequest, fields = {}, source = "create-invoice" }
+  ) {
+    await tenant.claimBill(invoiceRequest.billNumber);
+    const uploaded = await uploads.run(() =>
+      tenant.gopay.uploadBill(invoiceRequest)
+    );
+    const billNo = uploaded?.data?.billNumber;
+    if (!billNo) {
+      logger.error(`${source}: GoPay returned no billNumber`, {
+        response: uploaded,
+      });
+      throw new GoPayError("No billNumber returned", { status: 500 });
+    }
+    await tenant.storage.invoices.create(
+      billNo,
+      {
+        ...fields,
+        invoiceRequest,
+        gopayResponse: uploaded,
+        redirectUrl: null,
+      },
+      source
+    );
+    events.publish("invoice.created", {
+      billNumber: billNo,
+      totalAmount: invoiceRequest.totalAmount,
+      expireDate: invoiceRequest.expireDate,
+    });
+    const { status, redirectUrl, lastError } = await waitForRedirectUrl(
+      tenant.gopay,
+      billNo,
+      config.billPolling
+    );
+    if (lastError)
+      logger.warn(`${source}: bill info unavailable, answering pending`, {
+        billNumber: billNo,
+        err: lastError,
+      });
+    if (redirectUrl)
+      await markAwaitingPayment(
+        tenant.storage.invoices,
+        billNo,
+        redirectUrl,
+        source
+      );
+    return { billNumber: billNo, status, redirectUrl };
+  }
+
+  // Builds the GoPay bill for a prepared cart and uploads it; resolves
+  // like uploadInvoice(), plus the price `breakdown`.
+  async function issue(
+    merchant,
+    { input, priced, billNumber, request, source = "create-invoice" }
+  ) {
+    const billItemList = buildBillItems(priced.lines);
+    const invoiceRequest = {
+      billNumber,
+      entityActivityId: merchant.tenant.entityActivityId,
+      customerFullName:
+        `${input.firstName || ""} ${input.lastName || ""}`.trim() ||
+        "Unknown Buyer",
+      customerEmailAddress: input.email || config.defaults.customerEmail,
+      customerMobileNumber: input.phone || config.defaults.customerPhone,
+      issueDate: input.issueDate || new Date().toISOString().split("T")[0],
+      expireDate:
+        input.expireDate ||
+        new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+          .toISOString()
+          .split("T")[0],
+      serviceName: input.serviceName || "Order Payment",
+      billItemList,
+      totalAmount: formatMinor(priced.totalMinor),
+      isPublicView: true,
+      showOnlinePayNowButton: true,
+    };
+    const breakdown = formatBreakdown(priced);
+    const issued = await uploadInvoice(merchant, {
+      invoiceRequest,
+      source,
+      fields: {
+        request,
+        items: billItemList,
+        breakdown,
+        couponCode: input.couponCode || null,
+        totalAmount: invoiceRequest.totalAmount,
+        customer: {
+          name: invoiceRequest.customerFullName,
+          email: invoiceRequest.customerEmailAddress,
+          phone: invoiceRequest.customerMobileNumber,
+        },
+      },
+    });
+    return { ...issued, breakdown };
+  }
+
+  return { issue, uploadInvoice };
+}
+
+module.exports = { prepareInvoice, markAwaitingPayment, createInvoiceIssuer };
@@ -0,0 +1,186 @@
+const admin = require("firebase-admin");
+
+// ── Invoice States ──────────────────────────────────────────
+// created          → uploaded to GoPay, pay-page URL not known yet (the
+//                    bill can be paid all the same, e.g. from GoPay's app)
+// awaiting-payment → redirectUrl handed to the shopper
+// paid             → verified payment notification received
+// settled          → settlement notification received
+// expired          → expireDate passed without payment
+// cancelled        → withdrawn before payment
+const STATES = [
+  "created",
+  "awaiting-payment",
+  "paid",
+  "settled",
+  "expired",
+  "cancelled",
+];
+
+const TRANSITIONS = {
+  created: ["awaiting-payment", "paid", "expired", "cancelled"],
+  "awaiting-payment": ["paid", "expired", "cancelled"],
+  paid: ["settled"],
+  settled: [],
+  expired: [],
+  cancelled: [],
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+class InvalidTransitionError extends Error {
+  constructor(billNumber, from, to) {
+    super(`Invoice ${billNumber} cannot move from "${from}" to "${to}"`);
+    this.name = "InvalidTransitionError";
+    this.billNumber = billNumber;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// States in which a bill is still open on GoPay's side.
+const OUTSTANDING_STATES = ["created", "awaiting-payment"];
+
+// ── Firestore-backed invoice store ──────────────────────────
+function createInvoiceStore(db) {
+  const invoices = db.collection("invoices");
+  const historyEntry = (from, to, source) => ({
+    from,
+    to,
+    source,
+    at: new Date().toISOString(),
+  });
+
+  return {
+    async get(billNumber) {
+      const snap = await invoices.doc(billNumber).get();
+      return snap.exists ? snap.data() : null;
+    },
+
+    // Record a freshly uploaded bill in the "created" state.
+    async create(billNumber, data, source = "create-invoice") {
+      const invoice = {
+        ...data,
+        billNumber,
+        state: "created",
+        history: [historyEntry(null, "created", source)],
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      await invoices.doc(billNumber).set(invoice);
+      return invoice;
+    },
+
+    // Newest first. `cursor` is the billNumber of the last invoice on the
+    // previous page. Filtering by state/customer together with a date
+    // range needs the matching composite index in Firestore.
+    async list({ state, from, to, customer, limit = 20, cursor } = {}) {
+      let query = invoices;
+      if (state) query = query.where("state", "==", state);
+      // Stored the way validateCreateInvoice normalised them.
+      if (customer) {
+        const byEmail = customer.includes("@");
+        query = query.where(
+          byEmail ? "customer.email" : "customer.phone",
+          "==",
+          byEmail
+            ? customer.trim().toLowerCase()
+            : customer.replace(/[\s-]/g, "")
+        );
+      }
+      if (from) query = query.where("createdAt", ">=", from);
+      if (to) query = query.where("createdAt", "<", to);
+      query = query.orderBy("createdAt", "desc");
+      if (cursor) {
+        const last = await invoices.doc(cursor).get();
+        if (!last.exists) return { invoices: [], nextCursor: null };
+        query = query.startAfter(last);
+      }
+      const snap = await query.limit(limit + 1).get();
+      const docs = snap.docs.slice(0, limit);
+      return {
+        invoices: docs.map((d) => d.data()),
+        nextCursor: snap.docs.length > limit ? docs[docs.length - 1].id : null,
+      };
+    },
+
+    // Outstanding invoices whose expireDate (YYYY-MM-DD) is before `today`.
+    async listExpired(today, limit = 100) {
+      const snap = await invoices
+        .where("state", "in", OUTSTANDING_STATES)
+        .where("invoiceRequest.expireDate", "<", today)
+        .limit(limit)
+        .get();
+      return snap.docs.map((d) => d.data());
+    },
+
+    // Expired invoices the sweeper has yet to issue again.
+    async listPendingReissue(limit = 100) {
+      const snap = await invoices
+        .where("reissuePending", "==", true)
+        .limit(limit)
+        .get();
+      return snap.docs.map((d) => d.data());
+    },
+
+    // Merge `fields` without a state change; rejects unless the invoice
+    // is still in one of `allowedStates`.
+    async update(billNumber, fields, allowedStates = OUTSTANDING_STATES) {
+      const ref = invoices.doc(billNumber);
+      return db.runTransaction(async (t) => {
+        const snap = await t.get(ref);
+        if (!snap.exists) return null;
+        const invoice = snap.data();
+        if (!allowedStates.includes(invoice.state)) {
+          const err = new InvalidTransitionError(
+            billNumber,
+            invoice.state,
+            invoice.state
+          );
+          err.message = `Invoice ${billNumber} cannot be changed while "${invoice.state}"`;
+          throw err;
+        }
+        const update = {
+          ...fields,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+        t.update(ref, update);
+        return { ...invoice, ...update };
+      });
+    },
+
+    // Move an invoice to `to`, merging `fields` into the document.
+    // Resolves null when no invoice exists for billNumber; rejects with
+    // InvalidTransitionError when the state machine forbids the move.
+    async transition(billNumber, to, { source, fields = {} } = {}) {
+      const ref = invoices.doc(billNumber);
+      return db.runTransaction(async (t) => {
+        const snap = await t.get(ref);
+        if (!snap.exists) return null;
+        const invoice = snap.data();
+        if (!canTransition(invoice.state, to))
+          throw new InvalidTransitionError(billNumber, invoice.state, to);
+        const update = {
+          ...fields,
+          state: to,
+          history: [
+            ...(invoice.history || []),
+            historyEntry(invoice.state, to, source),
+          ],
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+        t.update(ref, update);
+        return { ...invoice, ...update };
+      });
+    },
+  };
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  OUTSTANDING_STATES,
+  canTransition,
+  InvalidTransitionError,
+  createInvoiceStore,
+};
@@ -0,0 +1,92 @@
+const { currentRequestId } = require("./requestContext");
+
+// ── Structured Logging ──────────────────────────────────────
+// One JSON object per line: { time, level, msg, requestId, ...fields }.
+// Fields go through `redact` first, so customer names, phones and emails
+// (including those inside raw GoPay payloads) never reach the logs.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// customerFullName, firstName, email, customerMobileNumber, … but not
+// productName or serviceName.
+const PII_KEY = /^(customer|first|last|full)?(full)?name$|email|phone|mobile/i;
+const EMAIL = /[\w.+-]+@([\w-]+\.)+[\w-]+/g;
+
+function maskValue(key, value) {
+  if (typeof value !== "string" && typeof value !== "number")
+    return "[redacted]";
+  const text = String(value);
+  if (/email/i.test(key) && text.includes("@"))
+    return `***@${text.split("@").pop()}`;
+  if (/phone|mobile/i.test(key)) return `***${text.slice(-2)}`;
+  return "[redacted]";
+}
+
+/** Deep copy of `value` with PII masked. */
+function redact(value, key = "", depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (key && PII_KEY.test(key)) return maskValue(key, value);
+  if (typeof value === "string") return value.replace(EMAIL, "[email]");
+  if (typeof value !== "object") return value;
+  if (depth > 8) return "[truncated]";
+  if (value instanceof Error) return redact(serializeError(value), key, depth);
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map((v) => redact(v, "", depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = redact(v, k, depth + 1);
+  return out;
+}
+
+function serializeError(err) {
+  return {
+    type: err.name,
+    message: err.message,
+    ...(err.status !== undefined && { status: err.status }),
+    ...(err.code !== undefined && { code: err.code }),
+    ...(err.data !== undefined && { data: err.data }),
+    ...(err.status === undefined && { stack: err.stack }),
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.level="info"]  debug | info | warn | error | silent
+ * @param {{ write(line: string): void }} [options.stream=process.stdout]
+ * @param {Object} [options.fields]  added to every entry
+ */
+function createLogger({
+  level = "info",
+  stream = process.stdout,
+  fields = {},
+} = {}) {
+  let threshold = LEVELS[level] ?? LEVELS.info;
+
+  // `extra` may be a fields object or an Error (logged under `err`).
+  function write(entryLevel, msg, extra) {
+    if (LEVELS[entryLevel] < threshold) return;
+    const data = extra instanceof Error ? { err: extra } : extra;
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: redact(msg),
+      requestId: currentRequestId() || undefined,
+      ...redact({ ...fields, ...data }),
+    };
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (msg, extra) => write("debug", msg, extra),
+    info: (msg, extra) => write("info", msg, extra),
+    warn: (msg, extra) => write("warn", msg, extra),
+    error: (msg, extra) => write("error", msg, extra),
+    setLevel(next) {
+      if (!(next in LEVELS)) throw new Error(`Invalid log level "${next}"`);
+      threshold = LEVELS[next];
+    },
+  };
+}
+
+// Shared by the app's modules; server.js applies LOG_LEVEL.
+const logger = createLogger({ level: process.env.LOG_LEVEL || "info" });
+
+module.exports = { LEVELS, redact, createLogger, logger };
@@ -0,0 +1,111 @@
+const client = require("prom-client");
+
+// ── Prometheus Metrics ──────────────────────────────────────
+// Each app gets its own registry (tests build several apps per process).
+// Served as text by GET /metrics.
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.defaultMetrics=false]  process CPU, memory,
+ *   event loop lag, … (enabled by server.js only)
+ */
+function createMetrics({ defaultMetrics = false } = {}) {
+  const registry = new client.Registry();
+  if (defaultMetrics) client.collectDefaultMetrics({ register: registry });
+  const registers = [registry];
+
+  return {
+    registry,
+
+    // method, matched route (never the raw URL) and status class.
+    httpRequests: new client.Counter({
+      name: "http_requests_total",
+      help: "HTTP requests served",
+      labelNames: ["method", "route", "status"],
+      registers,
+    }),
+    httpDuration: new client.Histogram({
+      name: "http_request_duration_seconds",
+      help: "HTTP request latency",
+      labelNames: ["method", "route"],
+      buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      registers,
+    }),
+
+    // outcome: ready | pending | invalid | replayed | conflict |
+    //          rate_limited | gopay_error | error
+    invoicesCreated: new client.Counter({
+      name: "gopay_invoices_created_total",
+      help: "create-invoice requests by outcome",
+      labelNames: ["outcome"],
+      registers,
+    }),
+
+    // status: GoPay's HTTP status, or "network" for timeouts and
+    // connection errors. Calls refused by the open circuit never get here.
+    gopayDuration: new client.Histogram({
+      name: "gopay_request_duration_seconds",
+      help: "Latency of calls to GoPay",
+      labelNames: ["operation", "status"],
+      buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15],
+      registers,
+    }),
+
+    // outcome: processed | flagged | invalid | failed | duplicate
+    webhookNotifications: new client.Counter({
+      name: "gopay_webhook_notifications_total",
+      help: "Inbound GoPay notifications by kind and outcome",
+      labelNames: ["kind", "outcome"],
+      registers,
+    }),
+    // rule: ip | email | phone | uploads (the upload queue was full) |
+    //       status-ip (invoice-status polls)
+    rateLimited: new client.Counter({
+      name: "gopay_rate_limited_total",
+      help: "Checkout requests refused with 429, by rule",
+      labelNames: ["rule"],
+      registers,
+    }),
+    webhookRejections: new client.Counter({
+      name: "gopay_webhook_rejections_total",
+      help: "Inbound notifications refused by signature / IP checks",
+      labelNames: ["reason"],
+      registers,
+    }),
+
+    // Reads `uploads.stats()` (createConcurrencyLimiter) at scrape time.
+    trackUploads(uploads) {
+      new client.Gauge({
+        name: "gopay_uploads",
+        help: "GoPay bill uploads in flight (active) and waiting (queued)",
+        labelNames: ["state"],
+        registers,
+        collect() {
+          const { active, queued } = uploads.stats();
+          this.set({ state: "active" }, active);
+          this.set({ state: "queued" }, queued);
+        },
+      });
+    },
+
+    // Reads each merchant's `circuit()` (gopayClient) at scrape time;
+    // `tenants` comes from createTenantRegistry.
+    trackCircuits(tenants) {
+      const states = ["closed", "half-open", "open"];
+      new client.Gauge({
+        name: "gopay_circuit_state",
+        help: "GoPay circuit breaker: 0 closed, 1 half-open, 2 open",
+        labelNames: ["merchant"],
+        registers,
+        collect() {
+          for (const tenant of tenants.list())
+            this.set(
+              { merchant: tenant.id },
+              states.indexOf(tenant.gopay.circuit().state)
+            );
+        },
+      });
+    },
+  };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,371 @@
+const crypto = require("crypto");
+const express = require("express");
+const axios = require("axios");
+const { signPayload } = require("./webhookAuth");
+const { parseMoney, formatMinor } = require("./money");
+
+// ── Mock GoPay ──────────────────────────────────────────────
+// A stand-in for the GoPay sandbox covering the endpoints gopayClient
+// calls. Bills live in memory. Besides the GoPay routes, the app serves
+// a control API under /__mock for injecting faults and for paying or
+// settling bills, which fires signed notifications at `webhookTarget`.
+//
+//   GET    /__mock/bills                     every bill held
+//   POST   /__mock/faults                    { operation, status, body,
+//                                              delayMs, drop, times }
+//   DELETE /__mock/faults
+//   POST   /__mock/bills/:billNumber/pay     { amount, status, notify }
+//   POST   /__mock/bills/:billNumber/settle  { amount, bankId, notify }
+//   POST   /__mock/reset
+const OPERATIONS = [
+  "uploadBill",
+  "getBillInfo",
+  "cancelBill",
+  "updateBill",
+  "refundBill",
+];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.username]  when set with `password`, requests
+ *   must carry matching `username` / `password` headers
+ * @param {string} [options.password]
+ * @param {string} [options.publicUrl]  host used in the QR verify link
+ * @param {number} [options.qrDelayMs=0]  how long after upload the QR
+ *   payload stays empty, to exercise the "pending" path
+ * @param {number} [options.latencyMs=0]  added to every GoPay response
+ * @param {string} [options.webhookTarget]  base URL of the API receiving
+ *   payment / settlement notifications
+ * @param {string} [options.webhookSecret]  signs notifications the way
+ *   webhookAuth expects
+ */
+function createMockGoPay({
+  username,
+  password,
+  publicUrl = "https://mock.gopay.local",
+  qrDelayMs = 0,
+  latencyMs = 0,
+  webhookTarget,
+  webhookSecret,
+  http = axios,
+  now = Date.now,
+  logger = console,
+} = {}) {
+  const bills = new Map();
+  const calls = []; // { operation, requestId } per GoPay request
+  let faults = [];
+
+  // ── Fault injection ───────────────────────────────────────
+  // A fault applies to one operation (or "*") for `times` requests
+  // (unlimited when omitted). `drop` closes the socket without an
+  // answer; `delayMs` holds the response, e.g. to trip client timeouts.
+  function fail({
+    operation = "*",
+    status = 500,
+    body,
+    delayMs = 0,
+    drop = false,
+    times = Infinity,
+  } = {}) {
+    if (operation !== "*" && !OPERATIONS.includes(operation))
+      throw new Error(
+        `Unknown operation "${operation}" (expected * or ${OPERATIONS.join(
+          ", "
+        )})`
+      );
+    faults.push({ operation, status, body, delayMs, drop, times });
+  }
+
+  function takeFault(operation) {
+    const fault = faults.find(
+      (f) => f.operation === "*" || f.operation === operation
+    );
+    if (!fault) return null;
+    fault.times -= 1;
+    if (fault.times <= 0) faults = faults.filter((f) => f !== fault);
+    return fault;
+  }
+
+  const gopayError = (res, status, message) =>
+    res.status(status).json({ status, message });
+
+  // Wraps a GoPay route with latency, auth and fault handling.
+  const route = (operation, handler) => async (req, res) => {
+    calls.push({ operation, requestId: req.get("x-request-id") || null });
+    if (latencyMs) await wait(latencyMs);
+    const fault = takeFault(operation);
+    if (fault?.delayMs) await wait(fault.delayMs);
+    if (fault?.drop) return req.socket.destroy();
+    if (
+      username &&
+      password &&
+      (req.get("username") !== username || req.get("password") !== password)
+    )
+      return gopayError(res, 401, "Unauthorized");
+    if (fault)
+      return res
+        .status(fault.status)
+        .json(fault.body || { status: fault.status, message: "Mock fault" });
+    handler(req, res);
+  };
+
+  // ── Bill payloads ─────────────────────────────────────────
+  const verifyUrl = (billNumber) =>
+    `${publicUrl}/verify/bill?billNumber=${billNumber}`;
+
+  function qrFor(bill) {
+    if (now() < bill.qrReadyAt) return null;
+    return [
+      `Bill Number: ${bill.billNumber}`,
+      `Amount: ${bill.totalAmount} SAR`,
+      `Due: ${bill.expireDate}`,
+      verifyUrl(bill.billNumber),
+    ].join("\n");
+  }
+
+  function billInfo(bill) {
+    const { qrReadyAt, refunds, ...fields } = bill;
+    return { ...fields, qr: qrFor(bill) };
+  }
+
+  function validateBill(body) {
+    if (!body.billNumber || !/^\w+$/.test(body.billNumber))
+      return "billNumber is required";
+    if (!Array.isArray(body.billItemList) || !body.billItemList.length)
+      return "billItemList must not be empty";
+    if (parseMoney(body.totalAmount) === null) return "totalAmount is invalid";
+    return null;
+  }
+
+  // ── GoPay routes ──────────────────────────────────────────
+  const app = express();
+  app.use(express.json());
+
+  app.post(
+    "/simple/upload",
+    route("uploadBill", (req, res) => {
+      const invalid = validateBill(req.body);
+      if (invalid) return gopayError(res, 400, invalid);
+      const { billNumber } = req.body;
+      if (bills.has(billNumber))
+        return gopayError(res, 400, "Bill number already exists");
+      bills.set(billNumber, {
+        ...req.body,
+        billStatus: "UNPAID",
+        paidAmount: null,
+        paymentDate: null,
+        refundedAmount: "0.00",
+        settledAt: null,
+        createdAt: new Date(now()).toISOString(),
+        qrReadyAt: now() + qrDelayMs,
+        refunds: [],
+      });
+      res.json({
+        status: 200,
+        message: "Operation Done",
+        data: { billNumber, billStatus: "UNPAID" },
+      });
+    })
+  );
+
+  app.get(
+    "/bill/info",
+    route("getBillInfo", (req, res) => {
+      const bill = bills.get(req.query.billNumber);
+      if (!bill) return gopayError(res, 404, "Bill not found");
+      res.json({
+        status: 200,
+        message: "Operation Done",
+        data: billInfo(bill),
+      });
+    })
+  );
+
+  app.post(
+    "/bill/cancel",
+    route("cancelBill", (req, res) => {
+      const bill = bills.get(req.body.billNumber);
+      if (!bill) return gopayError(res, 404, "Bill not found");
+      if (bill.billStatus !== "UNPAID")
+        return gopayError(res, 400, `Bill is ${bill.billStatus}`);
+      bill.billStatus = "CANCELLED";
+      res.json({ status: 200, message: "Operation Done" });
+    })
+  );
+
+  app.post(
+    "/simple/update",
+    route("updateBill", (req, res) => {
+      const invalid = validateBill(req.body);
+      if (invalid) return gopayError(res, 400, invalid);
+      const bill = bills.get(req.body.billNumber);
+      if (!bill) return gopayError(res, 404, "Bill not found");
+      if (bill.billStatus !== "UNPAID")
+        return gopayError(res, 400, `Bill is ${bill.billStatus}`);
+      Object.assign(bill, req.body);
+      res.json({ status: 200, message: "Operation Done" });
+    })
+  );
+
+  app.post(
+    "/bill/refund",
+    route("refundBill", (req, res) => {
+      const { billNumber, amount, reason, refundReference } = req.body;
+      const bill = bills.get(billNumber);
+      if (!bill) return gopayError(res, 404, "Bill not found");
+      if (!["PAID", "PARTIALLY_REFUNDED"].includes(bill.billStatus))
+        return gopayError(res, 400, `Bill is ${bill.billStatus}`);
+      const amountMinor = parseMoney(amount);
+      const refundedMinor = parseMoney(bill.refundedAmount);
+      const paidMinor = parseMoney(bill.paidAmount);
+      if (!amountMinor) return gopayError(res, 400, "amount is invalid");
+      if (refundedMinor + amountMinor > paidMinor)
+        return gopayError(res, 400, "Refund exceeds paid amount");
+      const refund = {
+        refundReference: refundReference || crypto.randomUUID(),
+        billNumber,
+        amount: formatMinor(amountMinor),
+        reason: reason || null,
+        status: "REFUNDED",
+        refundDate: new Date(now()).toISOString(),
+      };
+      bill.refunds.push(refund);
+      bill.refundedAmount = formatMinor(refundedMinor + amountMinor);
+      bill.billStatus =
+        refundedMinor + amountMinor === paidMinor
+          ? "REFUNDED"
+          : "PARTIALLY_REFUNDED";
+      res.json({ status: 200, message: "Operation Done", data: refund });
+    })
+  );
+
+  // ── Notifications ─────────────────────────────────────────
+  // Resolves { notification, delivery } where delivery is the API's
+  // answer, or null when notify is false or no target is configured.
+  async function notify(path, notification) {
+    if (!webhookTarget) return null;
+    const rawBody = JSON.stringify(notification);
+    const headers = { "Content-Type": "application/json" };
+    if (webhookSecret) {
+      const timestamp = String(Math.floor(now() / 1000));
+      headers["X-GoPay-Timestamp"] = timestamp;
+      headers["X-GoPay-Signature"] = signPayload(
+        webhookSecret,
+        timestamp,
+        rawBody
+      );
+    }
+    try {
+      const res = await http.post(`${webhookTarget}${path}`, rawBody, {
+        headers,
+        validateStatus: () => true,
+      });
+      return { status: res.status, body: res.data };
+    } catch (err) {
+      logger.error(`🚨 mock GoPay could not reach ${path}:`, err.message);
+      return { status: null, error: err.message };
+    }
+  }
+
+  function requireBill(billNumber) {
+    const bill = bills.get(billNumber);
+    if (!bill) throw new Error(`Unknown bill ${billNumber}`);
+    return bill;
+  }
+
+  // `amount` defaults to the bill total; pass a different one to
+  // simulate under- or overpayment.
+  async function pay(
+    billNumber,
+    { amount, status = "PAID", notify: send = true } = {}
+  ) {
+    const bill = requireBill(billNumber);
+    bill.billStatus = status;
+    bill.paidAmount = amount ?? bill.totalAmount;
+    bill.paymentDate = new Date(now()).toISOString();
+    const notification = {
+      billNumber,
+      paymentStatus: status,
+      paymentAmount: bill.paidAmount,
+      paymentDate: bill.paymentDate,
+    };
+    const delivery = send
+      ? await notify("/api/payment-notification", notification)
+      : null;
+    return { notification, delivery };
+  }
+
+  async function settle(
+    billNumber,
+    { amount, bankId = "MOCKBANK", notify: send = true } = {}
+  ) {
+    const bill = requireBill(billNumber);
+    bill.settledAt = new Date(now()).toISOString();
+    const notification = {
+      billNumber,
+      settlementStatus: "SETTLED",
+      paymentAmount: amount ?? bill.paidAmount ?? bill.totalAmount,
+      paymentDate: bill.settledAt,
+      bankId,
+    };
+    const delivery = send
+      ? await notify("/api/settlement-notification", notification)
+      : null;
+    return { notification, delivery };
+  }
+
+  function reset() {
+    bills.clear();
+    calls.length = 0;
+    faults = [];
+  }
+
+  // ── Control API ───────────────────────────────────────────
+  const control = express.Router();
+  control.get("/bills", (req, res) =>
+    res.json({ bills: [...bills.values()].map(billInfo) })
+  );
+  control.post("/faults", (req, res) => {
+    try {
+      fail({ ...req.body, times: req.body.times ?? Infinity });
+      res.status(201).json({ faults });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  control.delete("/faults", (req, res) => {
+    faults = [];
+    res.status(204).end();
+  });
+  const trigger = (action) => async (req, res) => {
+    try {
+      res.json(await action(req.params.billNumber, req.body));
+    } catch (err) {
+      res.status(404).json({ error: err.message });
+    }
+  };
+  control.post("/bills/:billNumber/pay", trigger(pay));
+  control.post("/bills/:billNumber/settle", trigger(settle));
+  control.post("/reset", (req, res) => {
+    reset();
+    res.status(204).end();
+  });
+  app.use("/__mock", control);
+
+  return {
+    app,
+    bills,
+    calls,
+    fail,
+    clearFaults: () => {
+      faults = [];
+    },
+    pay,
+    settle,
+    reset,
+  };
+}
+
+module.exports = { OPERATIONS, createMockGoPay };
@@ -0,0 +1,79 @@
+// ── Money in minor units ────────────────────────────────────
+// All arithmetic happens on integer halalas (1 SAR = 100). Values enter
+// through parseMoney, which accepts at most two decimals and never goes
+// through floating point, and leave through formatMinor.
+const MONEY_PATTERN = /^\d{1,12}(\.\d{1,2})?$/;
+
+// → integer minor units, or null when `value` is not a valid amount
+function parseMoney(value) {
+  if (typeof value === "number") {
+    if (!Number.isFinite(value) || value < 0) return null;
+    value = String(value);
+  }
+  if (typeof value !== "string") return null;
+  const text = value.trim();
+  if (!MONEY_PATTERN.test(text)) return null;
+  const [whole, fraction = ""] = text.split(".");
+  return Number(whole) * 100 + Number(fraction.padEnd(2, "0"));
+}
+
+function formatMinor(minor) {
+  const sign = minor < 0 ? "-" : "";
+  const abs = Math.abs(minor);
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, "0")}`;
+}
+
+// Integer division rounded half away from zero (0.005 → 0.01).
+function divRound(numerator, denominator) {
+  const sign = Math.sign(numerator) * Math.sign(denominator);
+  const n = Math.abs(numerator);
+  const d = Math.abs(denominator);
+  const q = Math.floor(n / d);
+  return sign * (2 * (n - q * d) >= d ? q + 1 : q);
+}
+
+// ── Rates in basis points ───────────────────────────────────
+// "0.15" → 1500. Up to four decimals, between 0 and 1 inclusive.
+const RATE_PATTERN = /^(0(\.\d{1,4})?|1(\.0{1,4})?)$/;
+
+function parseRate(value) {
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) return null;
+    value = String(value);
+  }
+  if (typeof value !== "string") return null;
+  const text = value.trim();
+  if (!RATE_PATTERN.test(text)) return null;
+  const [whole, fraction = ""] = text.split(".");
+  return Number(whole) * 10000 + Number(fraction.padEnd(4, "0"));
+}
+
+const formatRate = (bp) => String(bp / 10000);
+
+// Split `total` across `weights` proportionally without losing a unit:
+// floor every share, then hand the leftover units to the largest
+// remainders (earlier entries win ties).
+function allocate(total, weights) {
+  const sum = weights.reduce((t, w) => t + w, 0);
+  if (!sum) return weights.map(() => 0);
+  const shares = weights.map((w) => Math.floor((total * w) / sum));
+  let left = total - shares.reduce((t, s) => t + s, 0);
+  const order = weights
+    .map((w, i) => ({ i, rest: (total * w) % sum }))
+    .sort((a, b) => b.rest - a.rest || a.i - b.i);
+  for (const { i } of order) {
+    if (left <= 0) break;
+    shares[i]++;
+    left--;
+  }
+  return shares;
+}
+
+module.exports = {
+  parseMoney,
+  formatMinor,
+  divRound,
+  parseRate,
+  formatRate,
+  allocate,
+};
@@ -0,0 +1,139 @@
+const admin = require("firebase-admin");
+const {
+  fetchBill,
+  crossCheckPayment,
+  isPaidStatus,
+  isSettledStatus,
+} = require("./paymentCheck");
+const { InvalidTransitionError } = require("./invoiceLifecycle");
+const { logger } = require("./logger");
+
+// ── GoPay notification processing ───────────────────────────
+// The webhook routes and the admin reprocess endpoint share these
+// handlers. Each resolves { outcome, status, body }: `outcome` is what
+// the inbound log records (processed / flagged / invalid / failed),
+// `status` and `body` are the HTTP answer. Unexpected errors reject.
+function createNotificationProcessor({
+  db,
+  payments,
+  settlements,
+  gopay,
+  invoices,
+  events,
+}) {
+  const answer = (outcome, status, body) => ({ outcome, status, body });
+  const done = () =>
+    answer("processed", 200, { status: 200, message: "Operation Done" });
+
+  async function payment(notification) {
+    const { billNumber, paymentStatus, paymentAmount, paymentDate } =
+      notification;
+    if (!billNumber || !paymentStatus)
+      return answer("invalid", 400, { error: "Missing fields" });
+
+    // Confirm against GoPay before trusting the notification.
+    let bill;
+    try {
+      bill = await fetchBill(gopay, billNumber);
+    } catch (err) {
+      logger.error("payment-notification bill lookup failed", {
+        billNumber,
+        err,
+      });
+      return answer("failed", 502, {
+        error: "Could not verify bill with GoPay",
+      });
+    }
+    const invoice = await invoices.get(billNumber);
+    const flag = async (issues) => {
+      await db.collection("payment_mismatches").add({
+        billNumber,
+        issues,
+        notification,
+        gopayBill: bill,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      logger.warn("payment-notification flagged", {
+        billNumber,
+        issues: issues.map((i) => i.type),
+      });
+      return answer("flagged", 200, {
+        status: 200,
+        message: "Flagged for review",
+      });
+    };
+    const issues = crossCheckPayment(notification, bill, invoice);
+    if (issues.length) return flag(issues);
+
+    // Repeated notifications for an already-paid invoice only refresh
+    // the payment record.
+    const alreadyPaid = ["paid", "settled"].includes(invoice?.state);
+    if (invoice && isPaidStatus(paymentStatus) && !alreadyPaid) {
+      try {
+        await invoices.transition(billNumber, "paid", {
+          source: "payment-notification",
+        });
+      } catch (err) {
+        if (!(err instanceof InvalidTransitionError)) throw err;
+        return flag([{ type: "invalid_state", expected: err.from }]);
+      }
+    }
+
+    await payments.upsert(billNumber, {
+      paymentStatus,
+      paymentAmount: paymentAmount != null ? Number(paymentAmount) : null,
+      paymentDate: paymentDate || new Date().toISOString(),
+    });
+    if (isPaidStatus(paymentStatus) && !alreadyPaid)
+      events.publish("payment.received", {
+        billNumber,
+        paymentStatus,
+        paymentAmount: Number(paymentAmount),
+        paymentDate: paymentDate || null,
+      });
+    return done();
+  }
+
+  async function settlement(notification) {
+    const { billNumber, settlementStatus, paymentAmount, paymentDate, bankId } =
+      notification;
+    if (!billNumber || !settlementStatus)
+      return answer("invalid", 400, { error: "Missing fields" });
+    let alreadySettled = false;
+    if (isSettledStatus(settlementStatus)) {
+      try {
+        const invoice = await invoices.get(billNumber);
+        alreadySettled = invoice?.state === "settled";
+        if (invoice && !alreadySettled)
+          await invoices.transition(billNumber, "settled", {
+            source: "settlement-notification",
+          });
+      } catch (err) {
+        if (!(err instanceof InvalidTransitionError)) throw err;
+        logger.warn("settlement-notification transition refused", {
+          billNumber,
+          err,
+        });
+      }
+    }
+    await settlements.upsert(billNumber, {
+      settlementStatus,
+      paymentAmount: paymentAmount || 0,
+      paymentDate: paymentDate || new Date().toISOString(),
+      bankId: bankId || "Unknown",
+    });
+    if (isSettledStatus(settlementStatus) && !alreadySettled)
+      events.publish("settlement.completed", {
+        billNumber,
+        settlementStatus,
+        paymentAmount: paymentAmount || 0,
+        paymentDate: paymentDate || null,
+        bankId: bankId || "Unknown",
+      });
+    return done();
+  }
+
+  return { payment, settlement };
+}
+
+module.exports = { createNotificationProcessor };
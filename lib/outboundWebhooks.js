@@ -0,0 +1,183 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const admin = require("firebase-admin");
+const { signPayload } = require("./webhookAuth");
+const { logger } = require("./logger");
+
+const EVENT_TYPES = [
+  "invoice.created",
+  "payment.received",
+  "settlement.completed",
+  "invoice.expired",
+];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ── Subscription registry ───────────────────────────────────
+// `webhook_subscriptions` documents: { url, events, secret, active }.
+// The secret signs every delivery and is only shown once, at creation.
+function createSubscriptionStore(db) {
+  const subscriptions = db.collection("webhook_subscriptions");
+  const redact = ({ secret, ...rest }) => rest;
+
+  return {
+    async create({ url, events, description }) {
+      const ref = subscriptions.doc();
+      const subscription = {
+        url,
+        events,
+        description: description || null,
+        secret: crypto.randomBytes(32).toString("hex"),
+        active: true,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      await ref.set(subscription);
+      return { id: ref.id, ...subscription };
+    },
+
+    async list() {
+      const snap = await subscriptions.get();
+      return snap.docs.map((d) => redact({ id: d.id, ...d.data() }));
+    },
+
+    async get(id) {
+      const snap = await subscriptions.doc(id).get();
+      return snap.exists ? { id, ...snap.data() } : null;
+    },
+
+    async remove(id) {
+      const ref = subscriptions.doc(id);
+      if (!(await ref.get()).exists) return false;
+      await ref.delete();
+      return true;
+    },
+
+    async forEvent(type) {
+      const snap = await subscriptions
+        .where("events", "array-contains", type)
+        .get();
+      return snap.docs
+        .map((d) => ({ id: d.id, ...d.data() }))
+        .filter((s) => s.active);
+    },
+  };
+}
+
+// ── Event publisher ─────────────────────────────────────────
+// Fans an event out to every subscription for its type. Each delivery
+// is retried with exponential backoff (in process); after the last
+// attempt it lands in `webhook_dead_letters`, from where it can be
+// replayed. Deliveries carry the same signature headers we require on
+// inbound webhooks:
+//   X-Webhook-Timestamp / X-Webhook-Signature = HMAC(`${ts}.${body}`)
+function createEventPublisher({
+  db,
+  subscriptions,
+  http = axios,
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  timeoutMs = 5000,
+  wait = sleep,
+}) {
+  const deadLetters = db.collection("webhook_dead_letters");
+
+  async function post(subscription, event) {
+    const body = JSON.stringify(event);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    await http.post(subscription.url, body, {
+      timeout: timeoutMs,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Event": event.type,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": signPayload(
+          subscription.secret,
+          timestamp,
+          body
+        ),
+      },
+    });
+  }
+
+  // Resolves { delivered, attempts, error }.
+  async function deliver(subscription, event) {
+    let lastError = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        await post(subscription, event);
+        return { delivered: true, attempts: attempt, error: null };
+      } catch (err) {
+        lastError = err.response
+          ? `HTTP ${err.response.status}`
+          : err.code || err.message;
+        if (attempt < maxAttempts) await wait(baseDelayMs * 2 ** (attempt - 1));
+      }
+    }
+    return { delivered: false, attempts: maxAttempts, error: lastError };
+  }
+
+  async function deliverOrDeadLetter(subscription, event) {
+    const result = await deliver(subscription, event);
+    if (result.delivered) return result;
+    logger.error("webhook delivery failed", {
+      event: event.type,
+      url: subscription.url,
+      error: result.error,
+    });
+    await deadLetters.add({
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      event,
+      attempts: result.attempts,
+      lastError: result.error,
+      status: "dead",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return result;
+  }
+
+  return {
+    // Never rejects: callers fire and forget.
+    async publish(type, data) {
+      const event = {
+        id: crypto.randomUUID(),
+        type,
+        createdAt: new Date().toISOString(),
+        data,
+      };
+      try {
+        const targets = await subscriptions.forEvent(type);
+        await Promise.all(targets.map((s) => deliverOrDeadLetter(s, event)));
+      } catch (err) {
+        logger.error("webhook publish failed", { event: type, err });
+      }
+      return event;
+    },
+
+    async listDeadLetters() {
+      const snap = await deadLetters.where("status", "==", "dead").get();
+      return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    },
+
+    // One more round of attempts for a dead letter. Resolves null when
+    // the dead letter or its subscription no longer exists.
+    async replay(deadLetterId) {
+      const ref = deadLetters.doc(deadLetterId);
+      const snap = await ref.get();
+      if (!snap.exists) return null;
+      const letter = snap.data();
+      const subscription = await subscriptions.get(letter.subscriptionId);
+      if (!subscription) return null;
+      const result = await deliver(subscription, letter.event);
+      await ref.update({
+        status: result.delivered ? "replayed" : "dead",
+        attempts: letter.attempts + result.attempts,
+        lastError: result.error,
+        replayedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return result;
+    },
+  };
+}
+
+module.exports = { EVENT_TYPES, createSubscriptionStore, createEventPublisher };
@@ -0,0 +1,72 @@
+const { parseMoney } = require("./money");
+
+// ── Payment cross-check ─────────────────────────────────────
+// A payment notification is only trusted once GoPay's own view of the
+// bill agrees with it. The helpers below compare the webhook body with
+// the `/bill/info` payload and report every discrepancy found.
+
+const PAID_STATUSES = ["PAID", "SUCCESS", "SUCCESSFUL", "COMPLETED"];
+
+const SETTLED_STATUSES = ["SETTLED", "SUCCESS", "SUCCESSFUL", "COMPLETED"];
+
+const isPaidStatus = (status) =>
+  PAID_STATUSES.includes(String(status || "").toUpperCase());
+
+const isSettledStatus = (status) =>
+  SETTLED_STATUSES.includes(String(status || "").toUpperCase());
+
+// Fetch the bill GoPay holds for `billNumber`; null when GoPay does not
+// know it. Other failures (network, 5xx, auth) propagate to the caller.
+async function fetchBill(gopay, billNumber) {
+  try {
+    const info = await gopay.getBillInfo(billNumber);
+    return info?.data || null;
+  } catch (err) {
+    if (err.status === 400 || err.status === 404) return null;
+    throw err;
+  }
+}
+
+function billStatusOf(bill) {
+  return bill.billStatus || bill.status || bill.paymentStatus || null;
+}
+
+/**
+ * The expected amount is what we invoiced (our stored invoice) when we
+ * have it, otherwise the bill total GoPay reports.
+ * @returns {{ type: string, expected?: number, received?: number }[]}
+ *   empty when the notification matches the bill
+ */
+function crossCheckPayment(notification, bill, invoice = null) {
+  if (!bill) return [{ type: "unknown_bill" }];
+  if (!isPaidStatus(notification.paymentStatus)) return [];
+
+  const issues = [];
+  if (!isPaidStatus(billStatusOf(bill)))
+    issues.push({
+      type: "status_mismatch",
+      expected: billStatusOf(bill),
+      received: notification.paymentStatus,
+    });
+
+  // Compared in minor units (halalas), parsed without floating point.
+  const expected = parseMoney(invoice?.totalAmount ?? bill.totalAmount);
+  const received = parseMoney(notification.paymentAmount);
+  if (received === null) issues.push({ type: "missing_amount", expected });
+  else if (expected !== null && received < expected)
+    issues.push({ type: "underpayment", expected, received });
+  else if (expected !== null && received > expected)
+    issues.push({ type: "overpayment", expected, received });
+
+  return issues;
+}
+
+module.exports = {
+  PAID_STATUSES,
+  SETTLED_STATUSES,
+  isPaidStatus,
+  isSettledStatus,
+  fetchBill,
+  billStatusOf,
+  crossCheckPayment,
+};
@@ -0,0 +1,103 @@
+const { formatMinor, formatRate, divRound, allocate } = require("./money");
+
+// VAT rates are carried in basis points (1500 = 15%).
+const DEFAULT_VAT_RATE_BP = 1500;
+
+// ── Price validated cart lines ──────────────────────────────
+// `input` comes from validateCreateInvoice: integer quantities, money in
+// minor units, optional per-line vatRateBp / discountMinor. The
+// order-level discount is spread across the goods lines (not shipping)
+// in proportion to what is left of each line after its own discount.
+// VAT is charged on the discounted line amount and rounded per line.
+function priceInvoice(
+  { items, shippingMinor = 0, orderDiscountMinor = 0 },
+  {
+    defaultVatRateBp = DEFAULT_VAT_RATE_BP,
+    shippingVatRateBp = defaultVatRateBp,
+  } = {}
+) {
+  const lines = items.map((item) => ({
+    reference: item.id,
+    name: item.productName,
+    quantity: item.quantity,
+    unitPriceMinor: item.unitPriceMinor,
+    netMinor: item.unitPriceMinor * item.quantity,
+    discountMinor: item.discountMinor || 0,
+    vatRateBp: item.vatRateBp ?? defaultVatRateBp,
+    vatExempt: Boolean(item.vatExempt),
+  }));
+
+  const orderShares = allocate(
+    orderDiscountMinor,
+    lines.map((l) => l.netMinor - l.discountMinor)
+  );
+  lines.forEach((line, i) => (line.discountMinor += orderShares[i]));
+
+  if (shippingMinor > 0)
+    lines.push({
+      reference: "shipping",
+      name: "Shipping",
+      quantity: 1,
+      unitPriceMinor: shippingMinor,
+      netMinor: shippingMinor,
+      discountMinor: 0,
+      vatRateBp: shippingVatRateBp,
+      vatExempt: false,
+    });
+
+  for (const line of lines) {
+    const taxable = line.netMinor - line.discountMinor;
+    line.vatMinor = line.vatExempt
+      ? 0
+      : divRound(taxable * line.vatRateBp, 10000);
+    line.grossMinor = taxable + line.vatMinor;
+  }
+
+  const sum = (key) => lines.reduce((t, l) => t + l[key], 0);
+  return {
+    lines,
+    netMinor: sum("netMinor"),
+    discountMinor: sum("discountMinor"),
+    vatMinor: sum("vatMinor"),
+    totalMinor: sum("grossMinor"),
+  };
+}
+
+// ── Helper: Build GoPay line items ───────────────────────────
+function buildBillItems(lines) {
+  return lines.map((line) => ({
+    reference: line.reference,
+    name: line.name,
+    quantity: line.quantity,
+    unitPrice: formatMinor(line.unitPriceMinor),
+    discount: Number(formatMinor(line.discountMinor)),
+    vat: formatRate(line.vatExempt ? 0 : line.vatRateBp),
+  }));
+}
+
+// ── Price breakdown for API responses ───────────────────────
+function formatBreakdown(priced) {
+  return {
+    net: formatMinor(priced.netMinor),
+    discount: formatMinor(priced.discountMinor),
+    vat: formatMinor(priced.vatMinor),
+    gross: formatMinor(priced.totalMinor),
+    lines: priced.lines.map((line) => ({
+      reference: line.reference,
+      quantity: line.quantity,
+      unitPrice: formatMinor(line.unitPriceMinor),
+      net: formatMinor(line.netMinor),
+      discount: formatMinor(line.discountMinor),
+      vatRate: line.vatExempt ? "exempt" : formatRate(line.vatRateBp),
+      vat: formatMinor(line.vatMinor),
+      gross: formatMinor(line.grossMinor),
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_VAT_RATE_BP,
+  priceInvoice,
+  buildBillItems,
+  formatBreakdown,
+};
@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+const { logger: defaultLogger } = require("./logger");
+
+// ── Rate Limiting & Upload Concurrency ──────────────────────
+// Limits are fixed windows counted in a store. The memory store suits a
+// single instance; anything with the same async `increment` (Redis, …)
+// can replace it to share counts between instances.
+
+class RateLimitError extends Error {
+  constructor(message, retryAfterMs) {
+    super(message);
+    this.name = "RateLimitError";
+    this.status = 429;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const retryAfterSeconds = (ms) => String(Math.max(1, Math.ceil(ms / 1000)));
+
+function createMemoryStore({ now = Date.now, pruneIntervalMs = 60000 } = {}) {
+  const windows = new Map(); // key → { count, resetAt }
+  let lastPrune = now();
+
+  // Expired windows are dropped as requests come in, not on a timer.
+  function prune(at) {
+    for (const [key, window] of windows)
+      if (window.resetAt <= at) windows.delete(key);
+    lastPrune = at;
+  }
+
+  return {
+    // Resolves the key's count in its current window, this hit included.
+    async increment(key, windowMs) {
+      const at = now();
+      if (at - lastPrune >= pruneIntervalMs) prune(at);
+      let window = windows.get(key);
+      if (!window || window.resetAt <= at) {
+        window = { count: 0, resetAt: at + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    },
+
+    size: () => windows.size,
+  };
+}
+
+// Customer identifiers are normalised, then hashed so that no store
+// holds an email or phone number.
+const hashKey = (value) =>
+  crypto.createHash("sha256").update(value).digest("base64url").slice(0, 22);
+
+function emailKey(email) {
+  const normalised = String(email ?? "")
+    .trim()
+    .toLowerCase();
+  return normalised ? hashKey(normalised) : null;
+}
+
+function phoneKey(phone) {
+  const digits = String(phone ?? "").replace(/\D/g, "");
+  return digits ? hashKey(digits) : null;
+}
+
+/**
+ * Express middleware answering 429 with Retry-After once any rule's
+ * limit is exceeded. Rules are checked in order; one with `max` 0 is off,
+ * and one whose `key` returns null does not apply to the request.
+ *
+ * @param {Object} options
+ * @param {{ name: string, max: number, windowMs: number,
+ *           key: (req) => string | null }[]} options.rules
+ * @param {Object} [options.store]  createMemoryStore() by default
+ * @param {(rule: string) => void} [options.onLimit]
+ */
+function createRateLimiter({
+  rules,
+  store = createMemoryStore(),
+  onLimit = () => {},
+  now = Date.now,
+  logger = defaultLogger,
+}) {
+  const active = rules.filter((rule) => rule.max > 0);
+
+  return async function rateLimit(req, res, next) {
+    try {
+      for (const rule of active) {
+        const id = rule.key(req);
+        if (!id) continue;
+        const { count, resetAt } = await store.increment(
+          `${rule.name}:${id}`,
+          rule.windowMs
+        );
+        if (count <= rule.max) continue;
+        onLimit(rule.name);
+        logger.warn("rate limited", {
+          rule: rule.name,
+          path: req.originalUrl.split("?")[0],
+        });
+        res.set("Retry-After", retryAfterSeconds(resetAt - now()));
+        return res.status(429).json({ error: "Too many requests" });
+      }
+    } catch (err) {
+      // A failing store must not take checkout down with it.
+      logger.error("rate limit store failed", err);
+    }
+    next();
+  };
+}
+
+/**
+ * Caps calls in flight; extra callers wait in a bounded queue. Rejects
+ * with RateLimitError when the queue is full or the wait exceeds
+ * `queueTimeoutMs`. `concurrency` 0 lifts the cap.
+ */
+function createConcurrencyLimiter({
+  concurrency = 10,
+  queueMax = 50,
+  queueTimeoutMs = 10000,
+} = {}) {
+  let active = 0;
+  const queue = []; // { start, timer }
+
+  const busy = () =>
+    new RateLimitError(
+      "Too many invoices in progress, please retry later",
+      queueTimeoutMs
+    );
+
+  function acquire() {
+    if (active < concurrency) {
+      active += 1;
+      return Promise.resolve();
+    }
+    if (queue.length >= queueMax) return Promise.reject(busy());
+    return new Promise((resolve, reject) => {
+      const waiter = { start: resolve };
+      waiter.timer = setTimeout(() => {
+        queue.splice(queue.indexOf(waiter), 1);
+        reject(busy());
+      }, queueTimeoutMs);
+      queue.push(waiter);
+    });
+  }
+
+  // A freed slot passes straight to the next waiter, so a newcomer can
+  // never slip in ahead of the queue.
+  function release() {
+    const waiter = queue.shift();
+    if (!waiter) {
+      active -= 1;
+      return;
+    }
+    clearTimeout(waiter.timer);
+    waiter.start();
+  }
+
+  return {
+    async run(fn) {
+      if (!concurrency) return fn();
+      await acquire();
+      try {
+        return await fn();
+      } finally {
+        release();
+      }
+    },
+
+    stats: () => ({ active, queued: queue.length }),
+  };
+}
+
+module.exports = {
+  RateLimitError,
+  retryAfterSeconds,
+  createMemoryStore,
+  emailKey,
+  phoneKey,
+  createRateLimiter,
+  createConcurrencyLimiter,
+};
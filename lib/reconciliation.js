@@ -0,0 +1,185 @@
+const admin = require("firebase-admin");
+const { isPaidStatus, isSettledStatus } = require("./paymentCheck");
+const { parseMoney, formatMinor } = require("./money");
+const { logger } = require("./logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Load payments & settlements for a paymentDate range ─────
+// The range picks payments; each is joined with its settlement however
+// much later that came. Settlements dated in the range only count on
+// their own when no payment was ever recorded for them, so a bill paid
+// on the last day and settled after the range is reported once, settled.
+async function loadReconciliationData({ payments, settlements }, range) {
+  const [paid, settledInRange] = await Promise.all([
+    payments.listByPaymentDate(range),
+    settlements.listByPaymentDate(range),
+  ]);
+  const unmatched = [...settledInRange.keys()].filter((b) => !paid.has(b));
+  const [settled, paidOutsideRange] = await Promise.all([
+    settlements.getMany([...paid.keys()]),
+    payments.getMany(unmatched),
+  ]);
+  for (const billNumber of unmatched)
+    if (!paidOutsideRange.has(billNumber))
+      settled.set(billNumber, settledInRange.get(billNumber));
+  return { payments: paid, settlements: settled };
+}
+
+// ── Join & check ────────────────────────────────────────────
+// Issues per billNumber:
+//   paid_unsettled             paid more than `unsettledDays` ago, no
+//                              completed settlement yet
+//   amount_mismatch            settled amount differs from paid amount
+//   unknown_bank               settlement bankId missing, "Unknown", or
+//                              not in `knownBankIds` (when configured)
+//   settlement_without_payment settlement with no recorded payment
+function reconcile(
+  { payments, settlements },
+  { asOf = Date.now(), unsettledDays = 3, knownBankIds = [] } = {}
+) {
+  const cutoff = asOf - unsettledDays * DAY_MS;
+  const billNumbers = [...new Set([...payments.keys(), ...settlements.keys()])];
+  const rows = billNumbers.sort().map((billNumber) => {
+    const payment = payments.get(billNumber) || null;
+    const settlement = settlements.get(billNumber) || null;
+    const paidMinor = payment ? parseMoney(payment.paymentAmount) : null;
+    const settledMinor = settlement
+      ? parseMoney(settlement.paymentAmount)
+      : null;
+    const issues = [];
+
+    const settled = settlement && isSettledStatus(settlement.settlementStatus);
+    if (payment && isPaidStatus(payment.paymentStatus) && !settled) {
+      const paidAt = Date.parse(payment.paymentDate);
+      if (!Number.isNaN(paidAt) && paidAt < cutoff)
+        issues.push("paid_unsettled");
+    }
+    if (payment && settlement && paidMinor !== settledMinor)
+      issues.push("amount_mismatch");
+    if (settlement) {
+      const bankId = settlement.bankId;
+      if (
+        !bankId ||
+        bankId === "Unknown" ||
+        (knownBankIds.length && !knownBankIds.includes(bankId))
+      )
+        issues.push("unknown_bank");
+    }
+    if (settlement && !payment) issues.push("settlement_without_payment");
+
+    return {
+      billNumber,
+      paymentStatus: payment?.paymentStatus ?? null,
+      paidAmount: paidMinor === null ? null : formatMinor(paidMinor),
+      paymentDate: payment?.paymentDate ?? null,
+      settlementStatus: settlement?.settlementStatus ?? null,
+      settledAmount: settledMinor === null ? null : formatMinor(settledMinor),
+      settlementDate: settlement?.paymentDate ?? null,
+      bankId: settlement?.bankId ?? null,
+      issues,
+    };
+  });
+
+  const count = (issue) => rows.filter((r) => r.issues.includes(issue)).length;
+  return {
+    generatedAt: new Date(asOf).toISOString(),
+    unsettledDays,
+    summary: {
+      bills: rows.length,
+      withIssues: rows.filter((r) => r.issues.length).length,
+      paidUnsettled: count("paid_unsettled"),
+      amountMismatch: count("amount_mismatch"),
+      unknownBank: count("unknown_bank"),
+      settlementWithoutPayment: count("settlement_without_payment"),
+    },
+    rows,
+  };
+}
+
+// ── CSV export ──────────────────────────────────────────────
+const CSV_COLUMNS = [
+  "billNumber",
+  "paymentStatus",
+  "paidAmount",
+  "paymentDate",
+  "settlementStatus",
+  "settledAmount",
+  "settlementDate",
+  "bankId",
+  "issues",
+];
+
+// Quotes where needed and defuses spreadsheet formulas (=, +, -, @).
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = Array.isArray(value) ? value.join(";") : String(value);
+  if (/^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(report) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const row of report.rows)
+    lines.push(CSV_COLUMNS.map((c) => csvCell(row[c])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// ── Scheduled reconciliation job ────────────────────────────
+// Reconciles the trailing `windowDays` of payments on every tick and
+// stores the summary plus the rows with issues in
+// `reconciliation_reports`.
+function createReconciliationJob({
+  storage,
+  intervalMs = DAY_MS,
+  windowDays = 30,
+  unsettledDays = 3,
+  knownBankIds = [],
+  now = Date.now,
+}) {
+  let timer = null;
+
+  async function runOnce() {
+    const asOf = now();
+    const from = new Date(asOf - windowDays * DAY_MS).toISOString();
+    const data = await loadReconciliationData(storage, { from });
+    const report = reconcile(data, { asOf, unsettledDays, knownBankIds });
+    const ref = await storage.db.collection("reconciliation_reports").add({
+      from,
+      generatedAt: report.generatedAt,
+      unsettledDays,
+      summary: report.summary,
+      issues: report.rows.filter((r) => r.issues.length),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    if (report.summary.withIssues)
+      logger.warn("reconciliation found issues", {
+        reportId: ref.id,
+        ...report.summary,
+      });
+    return { id: ref.id, ...report };
+  }
+
+  return {
+    runOnce,
+    start() {
+      if (timer || !intervalMs) return;
+      timer = setInterval(() => {
+        runOnce().catch((e) => logger.error("reconciliation failed", e));
+      }, intervalMs);
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = {
+  loadReconciliationData,
+  reconcile,
+  csvCell,
+  toCsv,
+  createReconciliationJob,
+};
@@ -0,0 +1,119 @@
+const admin = require("firebase-admin");
+const { isPaidStatus } = require("./paymentCheck");
+const { parseMoney, formatMinor } = require("./money");
+
+class RefundError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "RefundError";
+    this.status = status;
+  }
+}
+
+// ── Refunds against recorded payments ───────────────────────
+// Each refund is a document under payments/{billNumber}/refunds. The
+// amount is reserved on the payment (pendingRefundMinor) before GoPay is
+// called, so concurrent requests can never refund more than was paid;
+// the reservation turns into refundedMinor once GoPay accepts it.
+function createRefundService({ db, gopay }) {
+  const payments = db.collection("payments");
+  const now = () => admin.firestore.FieldValue.serverTimestamp();
+
+  async function reserve(billNumber, amountMinor, reason) {
+    const paymentRef = payments.doc(billNumber);
+    const refundRef = paymentRef.collection("refunds").doc();
+    return db.runTransaction(async (t) => {
+      const snap = await t.get(paymentRef);
+      if (!snap.exists) throw new RefundError("No payment recorded", 404);
+      const payment = snap.data();
+      if (!isPaidStatus(payment.paymentStatus))
+        throw new RefundError("Payment is not in a paid state", 409);
+
+      const paidMinor = parseMoney(payment.paymentAmount) || 0;
+      const refundedMinor = payment.refundedMinor || 0;
+      const pendingMinor = payment.pendingRefundMinor || 0;
+      const availableMinor = paidMinor - refundedMinor - pendingMinor;
+      const amount = amountMinor ?? availableMinor;
+      if (amount <= 0 || amount > availableMinor)
+        throw new RefundError(
+          `Refund exceeds refundable amount ${formatMinor(availableMinor)}`,
+          422
+        );
+
+      t.update(paymentRef, { pendingRefundMinor: pendingMinor + amount });
+      t.set(refundRef, {
+        billNumber,
+        amountMinor: amount,
+        amount: formatMinor(amount),
+        reason: reason || null,
+        status: "pending",
+        createdAt: now(),
+      });
+      return { refundRef, amount, paidMinor };
+    });
+  }
+
+  async function settle(billNumber, refundRef, amount, paidMinor, outcome) {
+    const paymentRef = payments.doc(billNumber);
+    return db.runTransaction(async (t) => {
+      const payment = (await t.get(paymentRef)).data();
+      const update = {
+        pendingRefundMinor: (payment.pendingRefundMinor || 0) - amount,
+        updatedAt: now(),
+      };
+      if (outcome.status === "completed") {
+        update.refundedMinor = (payment.refundedMinor || 0) + amount;
+        update.refundedAmount = formatMinor(update.refundedMinor);
+        update.refundStatus =
+          update.refundedMinor >= paidMinor ? "refunded" : "partially-refunded";
+      }
+      t.update(paymentRef, update);
+      t.update(refundRef, { ...outcome, completedAt: now() });
+      return update;
+    });
+  }
+
+  return {
+    // amountMinor null/undefined refunds whatever is still refundable.
+    async refund(billNumber, { amountMinor, reason } = {}) {
+      const { refundRef, amount, paidMinor } = await reserve(
+        billNumber,
+        amountMinor,
+        reason
+      );
+      let response;
+      try {
+        response = await gopay.refundBill({
+          billNumber,
+          amount: formatMinor(amount),
+          reason: reason || undefined,
+          refundReference: refundRef.id,
+        });
+      } catch (err) {
+        await settle(billNumber, refundRef, amount, paidMinor, {
+          status: "failed",
+          error: err.data || err.message,
+        });
+        throw err;
+      }
+      const update = await settle(billNumber, refundRef, amount, paidMinor, {
+        status: "completed",
+        gopayResponse: response ?? null,
+      });
+      return {
+        refundId: refundRef.id,
+        billNumber,
+        amount: formatMinor(amount),
+        refundedAmount: update.refundedAmount,
+        refundStatus: update.refundStatus,
+      };
+    },
+
+    async list(billNumber) {
+      const snap = await payments.doc(billNumber).collection("refunds").get();
+      return snap.docs.map((d) => ({ refundId: d.id, ...d.data() }));
+    },
+  };
+}
+
+module.exports = { RefundError, createRefundService };
@@ -0,0 +1,25 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+
+// ── Request Context ─────────────────────────────────────────
+// Carries the correlation ID of the request being served through every
+// async hop, so logs and outbound GoPay calls can be tied back to it
+// without threading it through each call.
+const storage = new AsyncLocalStorage();
+
+// Accepted from X-Request-Id when it looks like an ID, else generated.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function resolveRequestId(header) {
+  return header && REQUEST_ID_PATTERN.test(header)
+    ? header
+    : crypto.randomUUID();
+}
+
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+const currentRequestId = () => storage.getStore()?.requestId || null;
+
+module.exports = { resolveRequestId, runWithContext, currentRequestId };
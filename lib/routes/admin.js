@@ -0,0 +1,33 @@
+const express = require("express");
+const { authorize, ROLES } = require("../adminAuth");
+const { toJson } = require("../firestoreJson");
+const { logger } = require("../logger");
+
+// ── Admin identity & audit trail ────────────────────────────
+function createAdminRoutes({ auditLog }) {
+  const router = express.Router();
+
+  // Who the caller is and what they may do, for the back-office UI.
+  router.get("/me", (req, res) => {
+    const permissions = [
+      ...new Set(req.admin.roles.flatMap((role) => ROLES[role] || [])),
+    ];
+    res.json({ ...req.admin, permissions });
+  });
+
+  router.get("/audit-log", authorize("audit:read"), async (req, res) => {
+    try {
+      const { billNumber, actor } = req.query;
+      const limit = Math.min(Number(req.query.limit) || 50, 200);
+      const entries = await auditLog.list({ billNumber, actor, limit });
+      res.json({ entries: entries.map(toJson) });
+    } catch (err) {
+      logger.error("audit log list failed", err);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRoutes };
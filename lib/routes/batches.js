@@ -0,0 +1,90 @@
+const express = require("express");
+const { authorize } = require("../adminAuth");
+const { toJson } = require("../firestoreJson");
+const { logger } = require("../logger");
+const { csvToInvoices, jsonToInvoices, toReportCsv } = require("../batches");
+
+const CSV_TYPES = ["text/csv", "application/csv"];
+
+// ── Batch invoice uploads ───────────────────────────────────
+// POST /      JSON array (or { invoices }) or a CSV body (text/csv);
+//             202 with the batch once every invoice has validated
+// GET  /      recent batches, without their rows
+// GET  /:id   the batch with a result per row; ?format=csv for a file
+function createBatchRoutes({ batches }) {
+  const router = express.Router();
+
+  router.post("/", authorize("invoices:write"), async (req, res) => {
+    try {
+      const csv = req.is(CSV_TYPES);
+      const parsed = csv
+        ? csvToInvoices(typeof req.body === "string" ? req.body : "")
+        : jsonToInvoices(req.body);
+      const fields = [...parsed.errors];
+      if (!fields.length && !parsed.invoices.length)
+        fields.push({ field: "invoices", message: "batch is empty" });
+      if (parsed.invoices.length > batches.maxInvoices)
+        fields.push({
+          field: "invoices",
+          message: `at most ${batches.maxInvoices} invoices per batch`,
+        });
+      if (fields.length)
+        return res.status(400).json({ error: "Invalid batch", fields });
+
+      const { errors, prepared } = batches.validate(parsed.invoices);
+      if (errors.length)
+        return res.status(400).json({ error: "Invalid batch", rows: errors });
+
+      const batch = await batches.start(prepared, {
+        source: csv ? "csv" : "json",
+        createdBy: req.admin.id,
+      });
+      res
+        .status(202)
+        .location(`${req.baseUrl}/${batch.id}`)
+        .json({
+          batchId: batch.id,
+          state: batch.state,
+          total: batch.total,
+          statusUrl: `${req.baseUrl}/${batch.id}`,
+        });
+    } catch (err) {
+      logger.error("batch create failed", err);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  router.get("/", authorize("invoices:read"), async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || 20, 100);
+      const list = await batches.list({ limit });
+      res.json({ batches: list.map(toJson) });
+    } catch (err) {
+      logger.error("batch list failed", err);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  router.get("/:id", authorize("invoices:read"), async (req, res) => {
+    try {
+      const batch = await batches.get(req.params.id);
+      if (!batch) return res.status(404).json({ error: "Batch not found" });
+      if (req.query.format === "csv") {
+        res.set("Content-Type", "text/csv; charset=utf-8");
+        res.set(
+          "Content-Disposition",
+          `attachment; filename="batch-${batch.id}.csv"`
+        );
+        return res.send(toReportCsv(batch));
+      }
+      res.json(toJson(batch));
+    } catch (err) {
+      logger.error("batch lookup failed", err);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { CSV_TYPES, createBatchRoutes };
@@ -0,0 +1,156 @@
+const express = require("express");
+const { logger } = require("../logger");
+const { DEFAULT_MERCHANT } = require("../tenants");
+
+// ── Health & Readiness ──────────────────────────────────────
+// /healthz    → liveness: the process is up and serving requests
+// /readyz     → readiness: storage answers, GoPay settings are present
+//               and, with READINESS_PROBE_GOPAY=true, GoPay answers too
+// /api/health → GoPay circuit breaker state, per merchant
+
+// Settings the default merchant's GoPay calls cannot work without, by env
+// name. In localhost mode the LOCAL_* variant of each is accepted as well.
+// Other merchants are checked when MERCHANTS is parsed, but for baseUrl.
+const REQUIRED_SETTINGS = {
+  API_BASE_URL: (config) => config.gopay.baseUrl,
+  GOPAY_USERNAME: (config) => config.gopay.username,
+  GOPAY_PASSWORD: (config) => config.gopay.password,
+  ENTITY_ACTIVITY_ID: (config) => config.gopay.entityActivityId,
+};
+
+// Looked up on every GoPay probe; no such bill is expected to exist.
+const PROBE_BILL_NUMBER = "READINESS_PROBE";
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`${what} timed out after ${ms}ms`)),
+      ms
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Resolves { status: "ok" | "fail", latencyMs, ...details }.
+async function timed(check) {
+  const started = Date.now();
+  try {
+    const details = await check();
+    return { status: "ok", latencyMs: Date.now() - started, ...details };
+  } catch (err) {
+    return {
+      status: "fail",
+      latencyMs: Date.now() - started,
+      error: err.message,
+    };
+  }
+}
+
+function createHealthRoutes({ config, storage, tenants }) {
+  const router = express.Router();
+  const { probeGoPay, timeoutMs } = config.health;
+  const startedAt = Date.now();
+
+  const checks = {
+    storage: () =>
+      timed(async () => {
+        await withTimeout(
+          storage.db.collection("invoices").limit(1).get(),
+          timeoutMs,
+          "storage check"
+        );
+        return { backend: storage.backend };
+      }),
+
+    config: async () => {
+      const missing = tenants.list().flatMap((tenant) => {
+        if (tenant.id !== DEFAULT_MERCHANT)
+          return tenant.merchant.baseUrl ? [] : [`${tenant.id}: baseUrl`];
+        return Object.keys(REQUIRED_SETTINGS).filter(
+          (name) => !REQUIRED_SETTINGS[name](config)
+        );
+      });
+      return missing.length
+        ? { status: "fail", missing }
+        : { status: "ok", mode: config.mode };
+    },
+
+    // Every merchant's credentials are probed; one failing fails the check.
+    gopay: async () => {
+      if (!probeGoPay) {
+        const circuits = Object.fromEntries(
+          tenants.list().map((t) => [t.id, t.gopay.circuit().state])
+        );
+        return { status: "skipped", circuits };
+      }
+      const list = tenants.list();
+      const results = await Promise.all(list.map(probe));
+      return {
+        status: results.some((r) => r.status === "fail") ? "fail" : "ok",
+        merchants: Object.fromEntries(list.map((t, i) => [t.id, results[i]])),
+      };
+    },
+  };
+
+  // Any answer short of 401/403 or a 5xx means GoPay is reachable and
+  // accepts the merchant's credentials; an unknown bill is the expected
+  // answer.
+  function probe({ gopay }) {
+    const circuit = gopay.circuit().state;
+    return timed(async () => {
+      try {
+        await withTimeout(
+          gopay.getBillInfo(PROBE_BILL_NUMBER),
+          timeoutMs,
+          "GoPay probe"
+        );
+      } catch (err) {
+        if (!err.status || err.status >= 500) throw err;
+        if (err.status === 401 || err.status === 403)
+          throw new Error("GoPay rejected the configured credentials");
+      }
+      return { circuit };
+    });
+  }
+
+  router.get("/healthz", (req, res) => {
+    res.json({
+      status: "ok",
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    });
+  });
+
+  router.get("/readyz", async (req, res) => {
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map((name) => checks[name]()));
+    const breakdown = Object.fromEntries(
+      names.map((name, i) => [name, results[i]])
+    );
+    const ready = results.every((r) => r.status !== "fail");
+    if (!ready) logger.warn("not ready", { checks: breakdown });
+    res
+      .status(ready ? 200 : 503)
+      .json({ status: ready ? "ready" : "not_ready", checks: breakdown });
+  });
+
+  // Degraded while any merchant's GoPay circuit is not closed; that
+  // merchant's checkout fails fast.
+  router.get("/api/health", (req, res) => {
+    const circuits = tenants
+      .list()
+      .map((tenant) => [tenant.id, tenant.gopay.circuit()]);
+    res.json({
+      status: circuits.every(([, c]) => c.state === "closed")
+        ? "ok"
+        : "degraded",
+      gopay: Object.fromEntries(
+        circuits.map(([id, circuit]) => [id, { circuit }])
+      ),
+    });
+  });
+
+  return router;
+}
+
+module.exports = { REQUIRED_SETTINGS, createHealthRoutes };
@@ -0,0 +1,277 @@
+const express = require("express");
+const {
+  STATES,
+  OUTSTANDING_STATES,
+  InvalidTransitionError,
+} = require("../invoiceLifecycle");
+const { fetchBill, billStatusOf, isPaidStatus } = require("../paymentCheck");
+const { isValidDate } = require("../validation");
+const { RefundError } = require("../refunds");
+const { parseMoney } = require("../money");
+const { toJson } = require("../firestoreJson");
+const { logger } = require("../logger");
+const { authorize } = require("../adminAuth");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2}))?$/;
+
+// ── Query parameters for GET /api/invoices ──────────────────
+function parseListQuery(query) {
+  const errors = [];
+  const options = {};
+
+  if (query.status) {
+    if (!STATES.includes(query.status))
+      errors.push({
+        field: "status",
+        message: `must be one of ${STATES.join(", ")}`,
+      });
+    else options.state = query.status;
+  }
+
+  for (const field of ["from", "to"]) {
+    if (!query[field]) continue;
+    const date = new Date(query[field]);
+    if (!DATE_PATTERN.test(query[field]) || Number.isNaN(date.getTime()))
+      errors.push({ field, message: "must be an ISO date (YYYY-MM-DD)" });
+    else options[field] = date;
+  }
+
+  if (query.customer) options.customer = String(query.customer).trim();
+
+  options.limit = 20;
+  if (query.limit) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100)
+      errors.push({ field: "limit", message: "must be an integer 1-100" });
+    else options.limit = limit;
+  }
+
+  if (query.cursor) options.cursor = String(query.cursor);
+  return { errors, options };
+}
+
+// Listing rows carry the headline fields; the detail route has the rest.
+const summarize = (invoice) => ({
+  billNumber: invoice.billNumber,
+  state: invoice.state,
+  totalAmount: invoice.totalAmount,
+  customer: invoice.customer || null,
+  redirectUrl: invoice.redirectUrl || null,
+  createdAt: invoice.createdAt,
+  updatedAt: invoice.updatedAt,
+});
+
+// ── Invoice lookup routes ───────────────────────────────────
+function createInvoiceRoutes({
+  gopay,
+  invoices,
+  payments,
+  settlements,
+  refunds,
+}) {
+  const router = express.Router();
+
+  // Stored invoice, payment and settlement merged with GoPay's live view.
+  router.get("/:billNumber", authorize("invoices:read"), async (req, res) => {
+    try {
+      const { billNumber } = req.params;
+      const [invoice, payment, settlement] = await Promise.all([
+        invoices.get(billNumber),
+        payments.get(billNumber),
+        settlements.get(billNumber),
+      ]);
+
+      let bill = null;
+      let gopayError = null;
+      try {
+        bill = await fetchBill(gopay, billNumber);
+      } catch (err) {
+        logger.error("invoice lookup: GoPay bill fetch failed", {
+          billNumber,
+          err,
+        });
+        gopayError = err.message;
+      }
+
+      if (!invoice && !payment && !settlement && !bill)
+        return res.status(404).json({ error: "Invoice not found" });
+
+      res.json({
+        billNumber,
+        state: invoice?.state || null,
+        invoice: toJson(invoice),
+        payment: toJson(payment),
+        settlement: toJson(settlement),
+        gopay: gopayError ? { error: gopayError } : { bill },
+      });
+    } catch (err) {
+      logger.error("invoice lookup failed", err);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // Filter by ?status, ?from/?to (createdAt), ?customer (email or phone);
+  // page with ?limit and the returned nextCursor.
+  router.get("/", authorize("invoices:read"), async (req, res) => {
+    try {
+      const { errors, options } = parseListQuery(req.query);
+      if (errors.length)
+        return res.status(400).json({ error: "Invalid query", fields: errors });
+      const page = await invoices.list(options);
+      res.json({
+        invoices: page.invoices.map((i) => toJson(summarize(i))),
+        nextCursor: page.nextCursor,
+      });
+    } catch (err) {
+      logger.error("invoice list failed", err);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // ── Changes to outstanding bills ──────────────────────────
+  // Both our state and GoPay's live status must say "unpaid": a payment
+  // webhook may still be on its way. Resolves the invoice, or null after
+  // answering the request itself.
+  async function loadOutstanding(billNumber, res) {
+    const invoice = await invoices.get(billNumber);
+    if (!invoice) {
+      res.status(404).json({ error: "Invoice not found" });
+      return null;
+    }
+    if (!OUTSTANDING_STATES.includes(invoice.state)) {
+      res.status(409).json({ error: `Invoice is ${invoice.state}` });
+      return null;
+    }
+    const bill = await fetchBill(gopay, billNumber);
+    if (bill && isPaidStatus(billStatusOf(bill))) {
+      res.status(409).json({ error: "Bill is already paid on GoPay" });
+      return null;
+    }
+    return invoice;
+  }
+
+  function sendChangeError(res, err, operation) {
+    if (err instanceof InvalidTransitionError)
+      return res.status(409).json({ error: err.message });
+    logger.error(`invoice ${operation} failed`, err);
+    res.status(err.status || 500).json({ error: err.data || err.message });
+  }
+
+  router.post(
+    "/:billNumber/cancel",
+    authorize("invoices:write"),
+    async (req, res) => {
+      try {
+        const { billNumber } = req.params;
+        const invoice = await loadOutstanding(billNumber, res);
+        if (!invoice) return;
+        await gopay.cancelBill(billNumber);
+        await invoices.transition(billNumber, "cancelled", {
+          source: "cancel",
+          fields: {
+            cancelledAt: new Date().toISOString(),
+            cancelReason: req.body?.reason || null,
+          },
+        });
+        res.json({ billNumber, state: "cancelled" });
+      } catch (err) {
+        sendChangeError(res, err, "cancel");
+      }
+    }
+  );
+
+  // Only expireDate can be changed on an issued bill.
+  router.patch(
+    "/:billNumber",
+    authorize("invoices:write"),
+    async (req, res) => {
+      try {
+        const { billNumber } = req.params;
+        const { expireDate } = req.body || {};
+        const today = new Date().toISOString().split("T")[0];
+        if (!isValidDate(expireDate) || expireDate < today)
+          return res.status(400).json({
+            error: "Invalid invoice update",
+            fields: [
+              {
+                field: "expireDate",
+                message: "must be a YYYY-MM-DD date no earlier than today",
+              },
+            ],
+          });
+        const invoice = await loadOutstanding(billNumber, res);
+        if (!invoice) return;
+        const invoiceRequest = { ...invoice.invoiceRequest, expireDate };
+        await gopay.updateBill(invoiceRequest);
+        await invoices.update(billNumber, { invoiceRequest });
+        res.json({ billNumber, state: invoice.state, expireDate });
+      } catch (err) {
+        sendChangeError(res, err, "update");
+      }
+    }
+  );
+
+  // ── Refunds ───────────────────────────────────────────────
+  // Omit `amount` to refund everything still refundable.
+  router.post(
+    "/:billNumber/refunds",
+    authorize("refunds:write"),
+    async (req, res) => {
+      const { billNumber } = req.params;
+      const { amount, reason } = req.body || {};
+      const errors = [];
+      let amountMinor = null;
+      if (amount !== undefined && amount !== null && amount !== "") {
+        amountMinor = parseMoney(amount);
+        if (!amountMinor)
+          errors.push({
+            field: "amount",
+            message: "must be a positive amount",
+          });
+      }
+      if (
+        reason !== undefined &&
+        (typeof reason !== "string" || reason.length > 200)
+      )
+        errors.push({
+          field: "reason",
+          message: "must be a string of at most 200 chars",
+        });
+      if (errors.length)
+        return res
+          .status(400)
+          .json({ error: "Invalid refund request", fields: errors });
+
+      try {
+        const refund = await refunds.refund(billNumber, {
+          amountMinor,
+          reason,
+        });
+        res.status(201).json(refund);
+      } catch (err) {
+        if (err instanceof RefundError)
+          return res.status(err.status).json({ error: err.message });
+        logger.error("refund failed", err);
+        res.status(err.status || 500).json({ error: err.data || err.message });
+      }
+    }
+  );
+
+  router.get(
+    "/:billNumber/refunds",
+    authorize("invoices:read"),
+    async (req, res) => {
+      try {
+        const list = await refunds.list(req.params.billNumber);
+        res.json({ refunds: list.map(toJson) });
+      } catch (err) {
+        logger.error("refund list failed", err);
+        res.status(500).json({ error: "Internal Server Error" });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createInvoiceRoutes };
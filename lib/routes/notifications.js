@@ -0,0 +1,70 @@
+const express = require("express");
+const { toJson } = require("../firestoreJson");
+const { logger } = require("../logger");
+const { authorize } = require("../adminAuth");
+
+// ── Stored inbound notifications ────────────────────────────
+function createNotificationRoutes({ inboundLog, processors }) {
+  const router = express.Router();
+
+  router.get("/", authorize("notifications:read"), async (req, res) => {
+    try {
+      const { status, kind } = req.query;
+      const limit = Math.min(Number(req.query.limit) || 50, 200);
+      const entries = await inboundLog.list({ status, kind, limit });
+      res.json({ notifications: entries.map(toJson) });
+    } catch (err) {
+      logger.error("notification list failed", err);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  router.get("/:id", authorize("notifications:read"), async (req, res) => {
+    try {
+      const entry = await inboundLog.get(req.params.id);
+      if (!entry)
+        return res.status(404).json({ error: "Notification not found" });
+      res.json(toJson(entry));
+    } catch (err) {
+      logger.error("notification lookup failed", err);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // Run a stored notification through its handler again, e.g. after a
+  // fix for whatever made it fail.
+  router.post(
+    "/:id/reprocess",
+    authorize("notifications:reprocess"),
+    async (req, res) => {
+      const { id } = req.params;
+      try {
+        const entry = await inboundLog.get(id);
+        if (!entry)
+          return res.status(404).json({ error: "Notification not found" });
+        let result;
+        try {
+          result = await processors[entry.kind](entry.body);
+        } catch (err) {
+          logger.error("notification reprocess failed", { id, err });
+          result = { outcome: "failed", status: 500, error: err.message };
+        }
+        await inboundLog.record(id, result);
+        res.json({
+          id,
+          outcome: result.outcome,
+          httpStatus: result.status,
+          response: result.body ?? null,
+          error: result.error ?? null,
+        });
+      } catch (err) {
+        logger.error("notification reprocess failed", err);
+        res.status(500).json({ error: "Internal Server Error" });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createNotificationRoutes };
@@ -0,0 +1,99 @@
+const express = require("express");
+const {
+  loadReconciliationData,
+  reconcile,
+  toCsv,
+} = require("../reconciliation");
+const { toJson } = require("../firestoreJson");
+const { logger } = require("../logger");
+const { authorize } = require("../adminAuth");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2}))?$/;
+
+function parseReportQuery(query) {
+  const errors = [];
+  const options = {};
+  for (const field of ["from", "to"]) {
+    if (!query[field]) continue;
+    if (!DATE_PATTERN.test(query[field]))
+      errors.push({ field, message: "must be an ISO date (YYYY-MM-DD)" });
+    else options[field] = query[field];
+  }
+  if (query.unsettledDays !== undefined) {
+    const days = Number(query.unsettledDays);
+    if (!Number.isInteger(days) || days < 0)
+      errors.push({
+        field: "unsettledDays",
+        message: "must be a non-negative integer",
+      });
+    else options.unsettledDays = days;
+  }
+  options.format = query.format || "json";
+  if (!["json", "csv"].includes(options.format))
+    errors.push({ field: "format", message: "must be json or csv" });
+  options.issuesOnly = query.issuesOnly === "true";
+  return { errors, options };
+}
+
+// ── Finance reports ─────────────────────────────────────────
+function createReportRoutes({ storage, reconciliation }) {
+  const router = express.Router();
+
+  // GET /reconciliation?from&to&unsettledDays&issuesOnly&format=json|csv
+  router.get("/reconciliation", authorize("reports:read"), async (req, res) => {
+    try {
+      const { errors, options } = parseReportQuery(req.query);
+      if (errors.length)
+        return res.status(400).json({ error: "Invalid query", fields: errors });
+      const data = await loadReconciliationData(storage, options);
+      const report = reconcile(data, {
+        unsettledDays: options.unsettledDays ?? reconciliation.unsettledDays,
+        knownBankIds: reconciliation.knownBankIds,
+      });
+      if (options.issuesOnly)
+        report.rows = report.rows.filter((r) => r.issues.length);
+
+      if (options.format === "csv") {
+        res.set("Content-Type", "text/csv; charset=utf-8");
+        res.set(
+          "Content-Disposition",
+          `attachment; filename="reconciliation-${report.generatedAt.split("T")[0]}.csv"`
+        );
+        return res.send(toCsv(report));
+      }
+      res.json({
+        from: options.from || null,
+        to: options.to || null,
+        ...report,
+      });
+    } catch (err) {
+      logger.error("reconciliation report failed", err);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  // Summaries stored by the scheduled reconciliation job.
+  router.get(
+    "/reconciliation/runs",
+    authorize("reports:read"),
+    async (req, res) => {
+      try {
+        const snap = await storage.db
+          .collection("reconciliation_reports")
+          .orderBy("generatedAt", "desc")
+          .limit(Math.min(Number(req.query.limit) || 10, 100))
+          .get();
+        res.json({
+          runs: snap.docs.map((d) => toJson({ id: d.id, ...d.data() })),
+        });
+      } catch (err) {
+        logger.error("reconciliation runs failed", err);
+        res.status(500).json({ error: "Internal Server Error" });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createReportRoutes };
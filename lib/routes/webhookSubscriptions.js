@@ -0,0 +1,113 @@
+const express = require("express");
+const { EVENT_TYPES } = require("../outboundWebhooks");
+const { toJson } = require("../firestoreJson");
+const { logger } = require("../logger");
+const { authorize } = require("../adminAuth");
+
+function validateSubscription(body = {}) {
+  const errors = [];
+  let url = null;
+  try {
+    url = new URL(body.url);
+  } catch (err) {
+    url = null;
+  }
+  if (!url || !["http:", "https:"].includes(url.protocol))
+    errors.push({ field: "url", message: "must be an http(s) URL" });
+  if (
+    !Array.isArray(body.events) ||
+    !body.events.length ||
+    !body.events.every((e) => EVENT_TYPES.includes(e))
+  )
+    errors.push({
+      field: "events",
+      message: `must be a non-empty list of ${EVENT_TYPES.join(", ")}`,
+    });
+  if (body.description !== undefined && typeof body.description !== "string")
+    errors.push({ field: "description", message: "must be a string" });
+  return errors;
+}
+
+// ── Outbound webhook subscriptions & dead letters ───────────
+function createWebhookSubscriptionRoutes({ subscriptions, events }) {
+  const router = express.Router();
+
+  router.post(
+    "/subscriptions",
+    authorize("webhooks:write"),
+    async (req, res) => {
+      try {
+        const errors = validateSubscription(req.body);
+        if (errors.length)
+          return res
+            .status(400)
+            .json({ error: "Invalid subscription", fields: errors });
+        const { url, events: types, description } = req.body;
+        const subscription = await subscriptions.create({
+          url,
+          events: [...new Set(types)],
+          description,
+        });
+        res.status(201).json(toJson(subscription));
+      } catch (err) {
+        logger.error("subscription create failed", err);
+        res.status(500).json({ error: "Internal Server Error" });
+      }
+    }
+  );
+
+  router.get("/subscriptions", authorize("webhooks:read"), async (req, res) => {
+    try {
+      res.json({ subscriptions: (await subscriptions.list()).map(toJson) });
+    } catch (err) {
+      logger.error("subscription list failed", err);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  router.delete(
+    "/subscriptions/:id",
+    authorize("webhooks:write"),
+    async (req, res) => {
+      try {
+        if (!(await subscriptions.remove(req.params.id)))
+          return res.status(404).json({ error: "Subscription not found" });
+        res.status(204).end();
+      } catch (err) {
+        logger.error("subscription delete failed", err);
+        res.status(500).json({ error: "Internal Server Error" });
+      }
+    }
+  );
+
+  router.get("/dead-letters", authorize("webhooks:read"), async (req, res) => {
+    try {
+      res.json({ deadLetters: (await events.listDeadLetters()).map(toJson) });
+    } catch (err) {
+      logger.error("dead letter list failed", err);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  });
+
+  router.post(
+    "/dead-letters/:id/replay",
+    authorize("webhooks:write"),
+    async (req, res) => {
+      try {
+        const result = await events.replay(req.params.id);
+        if (!result)
+          return res
+            .status(404)
+            .json({ error: "Dead letter or subscription not found" });
+        res.status(result.delivered ? 200 : 502).json(result);
+      } catch (err) {
+        logger.error("dead letter replay failed", err);
+        res.status(500).json({ error: "Internal Server Error" });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createWebhookSubscriptionRoutes };
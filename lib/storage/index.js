@@ -0,0 +1,40 @@
+const path = require("path");
+const admin = require("firebase-admin");
+const { createMemoryDb } = require("./memoryDb");
+const { createInvoiceStore } = require("../invoiceLifecycle");
+const {
+  createPaymentRepository,
+  createSettlementRepository,
+} = require("./repositories");
+
+// ── Storage backends ────────────────────────────────────────
+// firestore → Cloud Firestore, needs a service account
+// memory    → in-process only, gone on restart (tests, quick local runs)
+// file      → in-memory, persisted to STORAGE_FILE as JSON
+const BACKENDS = ["firestore", "memory", "file"];
+
+function withRepositories(backend, db) {
+  return {
+    backend,
+    db,
+    invoices: createInvoiceStore(db),
+    payments: createPaymentRepository(db),
+    settlements: createSettlementRepository(db),
+  };
+}
+
+// `serviceAccount` is only read for the firestore backend.
+function createStorage({ backend, file }, serviceAccount) {
+  if (backend === "firestore") {
+    admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+    return withRepositories(backend, admin.firestore());
+  }
+  if (backend === "file")
+    return withRepositories(
+      backend,
+      createMemoryDb({ file: path.resolve(file) })
+    );
+  return withRepositories("memory", createMemoryDb());
+}
+
+module.exports = { BACKENDS, createStorage, withRepositories };
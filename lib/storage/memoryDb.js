@@ -0,0 +1,278 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+
+const { FieldValue, Timestamp } = admin.firestore;
+const SERVER_TIMESTAMP = FieldValue.serverTimestamp();
+
+// ── In-memory document store ────────────────────────────────
+// Implements the slice of the Firestore API this service uses —
+// collection/doc refs, get/set/update/add/delete, where/orderBy/limit/
+// startAfter queries, subcollections and runTransaction — so the same
+// repositories run without GCP credentials. With `file` set, the data
+// is loaded from and written back to a JSON file.
+//
+// Documents live in one Map keyed by their full path
+// ("invoices/B1", "payments/B1/refunds/abc").
+
+// Server timestamps become real Timestamps on write; values are copied
+// in and out so callers never share references with the store.
+function materialize(value) {
+  if (value instanceof FieldValue) {
+    if (value.isEqual(SERVER_TIMESTAMP)) return Timestamp.now();
+    throw new Error("Unsupported FieldValue in memory store");
+  }
+  if (value instanceof Timestamp) return value;
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.map(materialize);
+  if (value && typeof value === "object")
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v]) => [k, materialize(v)])
+    );
+  return value;
+}
+
+const copy = (value) => materialize(value);
+
+// ── Query helpers ───────────────────────────────────────────
+const fieldOf = (data, path) =>
+  path.split(".").reduce((v, key) => (v == null ? undefined : v[key]), data);
+
+function comparable(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+}
+
+const OPERATORS = {
+  "==": (v, x) => compare(v, x) === 0,
+  "!=": (v, x) => compare(v, x) !== 0,
+  "<": (v, x) => v !== undefined && compare(v, x) < 0,
+  "<=": (v, x) => v !== undefined && compare(v, x) <= 0,
+  ">": (v, x) => v !== undefined && compare(v, x) > 0,
+  ">=": (v, x) => v !== undefined && compare(v, x) >= 0,
+  in: (v, x) => x.some((item) => compare(v, item) === 0),
+  "array-contains": (v, x) =>
+    Array.isArray(v) && v.some((item) => compare(item, x) === 0),
+};
+
+// ── Store factory ───────────────────────────────────────────
+function createMemoryDb({ file } = {}) {
+  const docs = new Map();
+  let saveTimer = null;
+
+  if (file && fs.existsSync(file)) {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"), (key, v) =>
+      v && typeof v === "object" && "__ts" in v
+        ? Timestamp.fromMillis(v.__ts)
+        : v
+    );
+    for (const [path, data] of Object.entries(saved)) docs.set(path, data);
+  }
+
+  function persist() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(flush, 50);
+    saveTimer.unref();
+  }
+
+  function flush() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!file) return;
+    const out = JSON.stringify(
+      Object.fromEntries(docs),
+      function (key, v) {
+        const raw = this[key];
+        return raw instanceof Timestamp ? { __ts: raw.toMillis() } : v;
+      },
+      2
+    );
+    fs.writeFileSync(file, out);
+  }
+
+  // Writes of one transaction (or a single call) are applied together.
+  function apply(writes) {
+    for (const { path, data } of writes) {
+      if (data === null) docs.delete(path);
+      else docs.set(path, data);
+    }
+    if (writes.length) persist();
+  }
+
+  function snapshot(path) {
+    const data = docs.get(path);
+    const id = path.split("/").pop();
+    return {
+      id,
+      ref: docRef(path),
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : copy(data)),
+    };
+  }
+
+  // `current` is the document as the writer sees it: the committed one,
+  // or a transaction's pending version (null once deleted there).
+  function writeFor(path, op, data, options = {}, current = docs.get(path)) {
+    if (current === null) current = undefined;
+    if (op === "set")
+      return {
+        path,
+        data: options.merge
+          ? { ...(current || {}), ...copy(data) }
+          : copy(data),
+      };
+    if (op === "update") {
+      if (current === undefined) {
+        const err = new Error(`No document to update: ${path}`);
+        err.code = 5; // NOT_FOUND, as Firestore reports it
+        throw err;
+      }
+      return { path, data: { ...current, ...copy(data) } };
+    }
+    if (op === "create") {
+      if (current !== undefined) {
+        const err = new Error(`Document already exists: ${path}`);
+        err.code = 6; // ALREADY_EXISTS
+        throw err;
+      }
+      return { path, data: copy(data) };
+    }
+    return { path, data: null };
+  }
+
+  function docRef(path) {
+    return {
+      id: path.split("/").pop(),
+      path,
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => snapshot(path),
+      set: async (data, options) =>
+        apply([writeFor(path, "set", data, options)]),
+      create: async (data) => apply([writeFor(path, "create", data)]),
+      update: async (data) => apply([writeFor(path, "update", data)]),
+      delete: async () => apply([writeFor(path, "delete")]),
+    };
+  }
+
+  function query(
+    prefix,
+    { filters = [], orders = [], max = null, after = null }
+  ) {
+    const state = { filters, orders, max, after };
+    const next = (patch) => query(prefix, { ...state, ...patch });
+    return {
+      where: (field, op, value) => {
+        if (!OPERATORS[op]) throw new Error(`Unsupported operator ${op}`);
+        return next({ filters: [...filters, { field, op, value }] });
+      },
+      orderBy: (field, direction = "asc") =>
+        next({ orders: [...orders, { field, direction }] }),
+      limit: (n) => next({ max: n }),
+      startAfter: (snap) => next({ after: snap.id }),
+      get: async () => {
+        let matches = [];
+        for (const path of docs.keys()) {
+          const rest = path.slice(prefix.length + 1);
+          if (!path.startsWith(`${prefix}/`) || rest.includes("/")) continue;
+          const data = docs.get(path);
+          if (
+            filters.every((f) =>
+              OPERATORS[f.op](fieldOf(data, f.field), f.value)
+            )
+          )
+            matches.push(path);
+        }
+        const sortKeys = orders.length
+          ? orders
+          : [{ field: "__name__", direction: "asc" }];
+        matches.sort((a, b) => {
+          for (const { field, direction } of sortKeys) {
+            const c =
+              field === "__name__"
+                ? compare(a, b)
+                : compare(
+                    fieldOf(docs.get(a), field),
+                    fieldOf(docs.get(b), field)
+                  );
+            if (c) return direction === "desc" ? -c : c;
+          }
+          return compare(a, b);
+        });
+        if (after) {
+          const index = matches.indexOf(`${prefix}/${after}`);
+          matches = index === -1 ? [] : matches.slice(index + 1);
+        }
+        if (max !== null) matches = matches.slice(0, max);
+        const results = matches.map(snapshot);
+        return {
+          docs: results,
+          empty: !results.length,
+          size: results.length,
+          forEach: (fn) => results.forEach(fn),
+        };
+      },
+    };
+  }
+
+  function collectionRef(path) {
+    return {
+      id: path.split("/").pop(),
+      path,
+      ...query(path, {}),
+      doc: (id = crypto.randomBytes(10).toString("hex")) =>
+        docRef(`${path}/${id}`),
+      add: async (data) => {
+        const ref = docRef(`${path}/${crypto.randomBytes(10).toString("hex")}`);
+        await ref.set(data);
+        return ref;
+      },
+    };
+  }
+
+  // Transactions run one at a time; their writes are buffered and
+  // applied only when the callback resolves.
+  let queue = Promise.resolve();
+  function runTransaction(fn) {
+    const run = queue.then(async () => {
+      const writes = [];
+      const stage = (ref, op, data, options) => {
+        // Later writes in the same transaction build on earlier ones.
+        const pending = writes.filter((w) => w.path === ref.path).pop();
+        const current = pending ? pending.data : docs.get(ref.path);
+        writes.push(writeFor(ref.path, op, data, options, current));
+      };
+      const transaction = {
+        get: (refOrQuery) => refOrQuery.get(),
+        set: (ref, data, options) => stage(ref, "set", data, options),
+        create: (ref, data) => stage(ref, "create", data),
+        update: (ref, data) => stage(ref, "update", data),
+        delete: (ref) => stage(ref, "delete"),
+      };
+      const result = await fn(transaction);
+      apply(writes);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    collection: collectionRef,
+    runTransaction,
+    flush,
+  };
+}
+
+module.exports = { createMemoryDb };
@@ -0,0 +1,55 @@
+const admin = require("firebase-admin");
+
+// ── Payment & settlement repositories ───────────────────────
+// Both collections are keyed by billNumber and written by the GoPay
+// webhooks with merge semantics; paymentDate is an ISO string, so date
+// ranges are plain string bounds (from inclusive, to exclusive).
+function createLedgerRepository(db, collectionName) {
+  const collection = db.collection(collectionName);
+
+  return {
+    async get(billNumber) {
+      const snap = await collection.doc(billNumber).get();
+      return snap.exists ? snap.data() : null;
+    },
+
+    upsert(billNumber, fields) {
+      return collection.doc(billNumber).set(
+        {
+          ...fields,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+    },
+
+    // Resolves a Map of billNumber → document for those that exist.
+    async getMany(billNumbers) {
+      const snaps = await Promise.all(
+        billNumbers.map((billNumber) => collection.doc(billNumber).get())
+      );
+      return new Map(
+        snaps
+          .filter((snap) => snap.exists)
+          .map((snap) => [snap.id, { billNumber: snap.id, ...snap.data() }])
+      );
+    },
+
+    // Resolves a Map of billNumber → document.
+    async listByPaymentDate({ from, to } = {}) {
+      let query = collection;
+      if (from) query = query.where("paymentDate", ">=", from);
+      if (to) query = query.where("paymentDate", "<", to);
+      const snap = await query.get();
+      return new Map(
+        snap.docs.map((d) => [d.id, { billNumber: d.id, ...d.data() }])
+      );
+    },
+  };
+}
+
+const createPaymentRepository = (db) => createLedgerRepository(db, "payments");
+const createSettlementRepository = (db) =>
+  createLedgerRepository(db, "settlements");
+
+module.exports = { createPaymentRepository, createSettlementRepository };
@@ -0,0 +1,155 @@
+const admin = require("firebase-admin");
+const { withRepositories } = require("./storage");
+
+// ── Merchant Tenants ────────────────────────────────────────
+// Each merchant bills through its own GoPay credentials and
+// entityActivityId and keeps its data apart. The "default" merchant comes
+// from GOPAY_USERNAME / GOPAY_PASSWORD / ENTITY_ACTIVITY_ID and keeps the
+// top-level collections, so single-merchant deployments see no change;
+// every other merchant's collections live under merchants/{id}/.
+//
+// `bill_merchants/{billNumber}` records which merchant issued a bill, so
+// GoPay notifications (which only carry the billNumber) reach the right
+// tenant. Bills missing from it predate tenants and belong to "default".
+const DEFAULT_MERCHANT = "default";
+const MERCHANT_ID_PATTERN = /^[\w-]{1,64}$/;
+const REQUIRED_FIELDS = ["username", "password", "entityActivityId"];
+
+// MERCHANTS='{"seller-a":{"username":"…","password":"…",
+//   "entityActivityId":"…","baseUrl":"…"}}'; baseUrl is optional.
+function parseMerchants(json) {
+  if (!json) return [];
+  let spec;
+  try {
+    spec = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Invalid MERCHANTS JSON: ${err.message}`);
+  }
+  if (!spec || typeof spec !== "object" || Array.isArray(spec))
+    throw new Error("MERCHANTS must be an object keyed by merchant ID");
+  return Object.entries(spec).map(([id, merchant]) => {
+    if (!MERCHANT_ID_PATTERN.test(id) || id === DEFAULT_MERCHANT)
+      throw new Error(
+        `Invalid merchant ID "${id}" (letters, digits, _ and -; "${DEFAULT_MERCHANT}" is reserved)`
+      );
+    const missing = REQUIRED_FIELDS.filter((field) => !merchant?.[field]);
+    if (missing.length)
+      throw new Error(`Merchant "${id}" is missing ${missing.join(", ")}`);
+    const { username, password, entityActivityId, baseUrl } = merchant;
+    return { id, username, password, entityActivityId, baseUrl };
+  });
+}
+
+class BillOwnershipError extends Error {
+  constructor(billNumber) {
+    super(`Bill ${billNumber} belongs to another merchant`);
+    this.name = "BillOwnershipError";
+    this.billNumber = billNumber;
+    this.status = 409;
+  }
+}
+
+// Same interface as `db` for the calls the repositories make.
+function scopeDb(db, merchantId) {
+  if (merchantId === DEFAULT_MERCHANT) return db;
+  const root = db.collection("merchants").doc(merchantId);
+  return {
+    collection: (name) => root.collection(name),
+    runTransaction: (fn) => db.runTransaction(fn),
+  };
+}
+
+// Events carry the merchant they concern.
+function scopeEvents(events, merchantId) {
+  return {
+    ...events,
+    publish: (type, data) => events.publish(type, { merchantId, ...data }),
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.storage  from createStorage
+ * @param {{ id: string, baseUrl?: string, username: string,
+ *           password: string, entityActivityId: string }[]} options.merchants
+ * @param {(merchant: Object) => Object} options.createClient  builds the
+ *   merchant's GoPay client
+ */
+function createTenantRegistry({ storage, merchants, createClient }) {
+  const index = storage.db.collection("bill_merchants");
+  const tenants = new Map();
+
+  for (const merchant of merchants) {
+    const repositories =
+      merchant.id === DEFAULT_MERCHANT
+        ? storage
+        : withRepositories(storage.backend, scopeDb(storage.db, merchant.id));
+    // Registers the tenant as the bill's issuer, or throws
+    // BillOwnershipError when another merchant already holds it (bills
+    // missing from the index but stored at the top level are default's).
+    // Called before the bill is uploaded, so one merchant can never
+    // re-issue, or take the notifications of, another's billNumber.
+    async function claimBill(billNumber) {
+      if (
+        merchant.id !== DEFAULT_MERCHANT &&
+        (await storage.invoices.get(billNumber))
+      )
+        throw new BillOwnershipError(billNumber);
+      const ref = index.doc(billNumber);
+      await storage.db.runTransaction(async (t) => {
+        const snap = await t.get(ref);
+        if (snap.exists) {
+          if (snap.data().merchantId !== merchant.id)
+            throw new BillOwnershipError(billNumber);
+          return;
+        }
+        t.set(ref, {
+          merchantId: merchant.id,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+    }
+    // Every invoice created for a tenant, however it comes about,
+    // claims its billNumber first.
+    const invoices = {
+      ...repositories.invoices,
+      async create(billNumber, data, source) {
+        await claimBill(billNumber);
+        return repositories.invoices.create(billNumber, data, source);
+      },
+    };
+    tenants.set(merchant.id, {
+      id: merchant.id,
+      entityActivityId: merchant.entityActivityId,
+      merchant,
+      gopay: createClient(merchant),
+      storage: { ...repositories, invoices },
+      claimBill,
+    });
+  }
+
+  return {
+    list: () => [...tenants.values()],
+    get: (merchantId) => tenants.get(merchantId) || null,
+    get default() {
+      return tenants.get(DEFAULT_MERCHANT) || null;
+    },
+
+    // The tenant that issued `billNumber`; null when none can be found.
+    async forBill(billNumber) {
+      const snap = await index.doc(String(billNumber)).get();
+      if (snap.exists) return tenants.get(snap.data().merchantId) || null;
+      return tenants.get(DEFAULT_MERCHANT) || null;
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_MERCHANT,
+  BillOwnershipError,
+  REQUIRED_FIELDS,
+  parseMerchants,
+  scopeDb,
+  scopeEvents,
+  createTenantRegistry,
+};
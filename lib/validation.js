@@ -0,0 +1,210 @@
+const { parseMoney, parseRate, divRound } = require("./money");
+
+// ── Field rules ─────────────────────────────────────────────
+const NAME_PATTERN = /^[\p{L}\p{M}' .-]{1,100}$/u;
+const PHONE_PATTERN = /^\+?\d{9,15}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BILL_NUMBER_PATTERN = /^\w{1,64}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isBlank = (v) => v === undefined || v === null || v === "";
+
+function isValidDate(text) {
+  if (typeof text !== "string" || !DATE_PATTERN.test(text)) return false;
+  const date = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(text);
+}
+
+// ── Create-invoice body ─────────────────────────────────────
+// Collects every problem instead of stopping at the first, so the
+// client can fix the whole form in one round trip. Returns
+// { errors: [{ field, message }], value } where `value` is the
+// normalized body (money in minor units) and only meaningful when
+// `errors` is empty.
+function validateCreateInvoice(body = {}) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  const value = {};
+
+  for (const field of ["firstName", "lastName"]) {
+    if (isBlank(body[field])) continue;
+    const name = typeof body[field] === "string" ? body[field].trim() : null;
+    if (!name || !NAME_PATTERN.test(name))
+      fail(field, "must be 1-100 letters, spaces, apostrophes or hyphens");
+    else value[field] = name;
+  }
+
+  if (!isBlank(body.phone)) {
+    const phone = String(body.phone).replace(/[\s-]/g, "");
+    if (!PHONE_PATTERN.test(phone))
+      fail("phone", "must be 9-15 digits, optionally starting with +");
+    else value.phone = phone;
+  }
+
+  if (!isBlank(body.email)) {
+    const email = typeof body.email === "string" ? body.email.trim() : "";
+    if (email.length > 254 || !EMAIL_PATTERN.test(email))
+      fail("email", "must be a valid email address");
+    else value.email = email.toLowerCase();
+  }
+
+  if (!isBlank(body.billNumber)) {
+    if (!BILL_NUMBER_PATTERN.test(String(body.billNumber)))
+      fail("billNumber", "must be 1-64 letters, digits or underscores");
+    else value.billNumber = String(body.billNumber);
+  }
+
+  for (const field of ["issueDate", "expireDate"]) {
+    if (isBlank(body[field])) continue;
+    if (!isValidDate(body[field]))
+      fail(field, "must be a calendar date in YYYY-MM-DD format");
+    else value[field] = body[field];
+  }
+  // Same rule as PATCH /api/invoices/:billNumber: a bill that is already
+  // expired when uploaded can never be paid.
+  if (
+    value.expireDate &&
+    value.expireDate < new Date().toISOString().split("T")[0]
+  )
+    fail("expireDate", "must be a YYYY-MM-DD date no earlier than today");
+  else if (
+    value.issueDate &&
+    value.expireDate &&
+    value.expireDate < value.issueDate
+  )
+    fail("expireDate", "must not be before issueDate");
+
+  if (!isBlank(body.serviceName)) {
+    const name =
+      typeof body.serviceName === "string" ? body.serviceName.trim() : "";
+    if (!name || name.length > 100)
+      fail("serviceName", "must be a non-empty string of at most 100 chars");
+    else value.serviceName = name;
+  }
+
+  if (!Array.isArray(body.items) || !body.items.length) {
+    fail("items", "cart is empty");
+  } else {
+    value.items = body.items.map((item, i) => validateItem(item, i, fail));
+  }
+
+  value.shippingMinor = 0;
+  if (!isBlank(body.shippingCost)) {
+    const shipping = parseMoney(body.shippingCost);
+    if (shipping === null)
+      fail("shippingCost", "must be a non-negative amount with 2 decimals");
+    else value.shippingMinor = shipping;
+  }
+
+  // Order-level discount (e.g. a coupon), spread across the lines later.
+  value.orderDiscountMinor = 0;
+  if (!isBlank(body.orderDiscount)) {
+    const discount = parseMoney(body.orderDiscount);
+    const goodsMinor = (value.items || []).reduce(
+      (t, item) =>
+        item && item.unitPriceMinor !== null
+          ? t + item.unitPriceMinor * item.quantity - item.discountMinor
+          : t,
+      0
+    );
+    if (discount === null)
+      fail("orderDiscount", "must be a non-negative amount with 2 decimals");
+    else if (discount > goodsMinor)
+      fail("orderDiscount", "must not exceed the discounted items total");
+    else value.orderDiscountMinor = discount;
+  }
+
+  if (!isBlank(body.couponCode)) {
+    const code =
+      typeof body.couponCode === "string" ? body.couponCode.trim() : "";
+    if (!code || code.length > 50)
+      fail("couponCode", "must be a non-empty string of at most 50 chars");
+    else value.couponCode = code;
+  }
+
+  value.amountMinor = null;
+  if (!isBlank(body.amount)) {
+    const amount = parseMoney(body.amount);
+    if (amount === null)
+      fail("amount", "must be a non-negative amount with 2 decimals");
+    else value.amountMinor = amount;
+  }
+
+  return { errors, value };
+}
+
+function validateItem(item, index, fail) {
+  const at = (field) => `items[${index}].${field}`;
+  if (!item || typeof item !== "object") {
+    fail(`items[${index}]`, "must be an object");
+    return null;
+  }
+
+  if (isBlank(item.id) || !["string", "number"].includes(typeof item.id))
+    fail(at("id"), "is required");
+
+  const productName =
+    typeof item.productName === "string" ? item.productName.trim() : "";
+  if (!productName || productName.length > 200)
+    fail(at("productName"), "must be a non-empty string of at most 200 chars");
+
+  const { quantity } = item;
+  const validQuantity = Number.isSafeInteger(quantity) && quantity > 0;
+  if (!validQuantity) fail(at("quantity"), "must be a positive integer");
+
+  // Either unitPrice or subtotal (or both, if they agree) prices the line.
+  let unitPriceMinor = null;
+  const unitPrice = isBlank(item.unitPrice) ? null : parseMoney(item.unitPrice);
+  const subtotal = isBlank(item.subtotal) ? null : parseMoney(item.subtotal);
+  if (!isBlank(item.unitPrice) && unitPrice === null)
+    fail(at("unitPrice"), "must be a non-negative amount with 2 decimals");
+  else if (!isBlank(item.subtotal) && subtotal === null)
+    fail(at("subtotal"), "must be a non-negative amount with 2 decimals");
+  else if (unitPrice === null && subtotal === null)
+    fail(at("subtotal"), "is required when unitPrice is absent");
+  else if (validQuantity) {
+    unitPriceMinor =
+      unitPrice !== null ? unitPrice : divRound(subtotal, quantity);
+    if (
+      unitPrice !== null &&
+      subtotal !== null &&
+      unitPrice * quantity !== subtotal
+    )
+      fail(at("subtotal"), "must equal unitPrice × quantity");
+  }
+
+  // Per-line discount is an amount off the whole line.
+  let discountMinor = 0;
+  if (!isBlank(item.discount)) {
+    discountMinor = parseMoney(item.discount);
+    if (discountMinor === null)
+      fail(at("discount"), "must be a non-negative amount with 2 decimals");
+    else if (
+      unitPriceMinor !== null &&
+      discountMinor > unitPriceMinor * quantity
+    )
+      fail(at("discount"), "must not exceed the line amount");
+  }
+
+  // vatRate: a rate between 0 and 1 (0 = zero-rated) or "exempt".
+  let vatRateBp = null;
+  let vatExempt = false;
+  if (item.vatRate === "exempt") vatExempt = true;
+  else if (!isBlank(item.vatRate)) {
+    vatRateBp = parseRate(item.vatRate);
+    if (vatRateBp === null)
+      fail(at("vatRate"), 'must be a rate between 0 and 1 or "exempt"');
+  }
+
+  return {
+    id: item.id,
+    productName,
+    quantity,
+    unitPriceMinor,
+    discountMinor: discountMinor || 0,
+    vatRateBp,
+    vatExempt,
+  };
+}
+
+module.exports = { isValidDate, validateCreateInvoice };
@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+const { logger: defaultLogger } = require("./logger");
+
+// ── Signature scheme ────────────────────────────────────────
+// GoPay-facing webhooks are signed with a shared secret:
+//   X-GoPay-Timestamp: unix seconds
+//   X-GoPay-Signature: hex HMAC-SHA256 of `${timestamp}.${rawBody}`
+// (an optional "sha256=" prefix on the signature is accepted).
+function signPayload(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+}
+
+function safeEqualHex(a, b) {
+  const bufA = Buffer.from(a, "hex");
+  const bufB = Buffer.from(b, "hex");
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function normalizeIp(ip) {
+  return (ip || "").replace(/^::ffff:/, "");
+}
+
+// ── Verifier Factory ────────────────────────────────────────
+// Returns an Express middleware plus a `stats()` accessor with the
+// number of rejected attempts per reason; `onReject(reason)` is called as
+// well. Requires `req.rawBody`, which the app's body parsers capture for
+// every request.
+//
+// A repeated signature is let through: GoPay re-sends a delivery whose
+// answer it never got, and the inbound log answers such duplicates with
+// 200 without processing them again.
+function createWebhookVerifier({
+  secret,
+  allowedIps = [],
+  toleranceSeconds = 300,
+  now = Date.now,
+  logger = defaultLogger,
+  onReject = () => {},
+}) {
+  const rejected = {};
+
+  function reject(req, res, status, reason) {
+    rejected[reason] = (rejected[reason] || 0) + 1;
+    onReject(reason);
+    logger.warn("webhook rejected", {
+      reason,
+      path: req.path,
+      ip: normalizeIp(req.ip),
+    });
+    res.status(status).json({ error: "Unauthorized webhook" });
+  }
+
+  function middleware(req, res, next) {
+    if (allowedIps.length && !allowedIps.includes(normalizeIp(req.ip)))
+      return reject(req, res, 403, "ip_not_allowed");
+
+    if (!secret) return next();
+
+    const timestamp = req.get("x-gopay-timestamp");
+    const signature = (req.get("x-gopay-signature") || "").replace(
+      /^sha256=/,
+      ""
+    );
+    if (!timestamp || !signature)
+      return reject(req, res, 401, "missing_signature");
+
+    const ts = Number(timestamp);
+    if (!Number.isFinite(ts) || Math.abs(now() / 1000 - ts) > toleranceSeconds)
+      return reject(req, res, 401, "stale_timestamp");
+
+    const expected = signPayload(secret, timestamp, req.rawBody || "");
+    if (!/^[0-9a-f]+$/i.test(signature) || !safeEqualHex(signature, expected))
+      return reject(req, res, 401, "bad_signature");
+
+    next();
+  }
+
+  return {
+    middleware,
+    stats: () => ({ ...rejected }),
+  };
+}
+
+module.exports = { createWebhookVerifier, signPayload };
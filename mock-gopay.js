@@ -0,0 +1,26 @@
+require("dotenv").config();
+const { loadConfig } = require("./lib/config");
+const { createMockGoPay } = require("./lib/mockGopay");
+
+// ── Mock GoPay Sandbox ──────────────────────────────────────
+// Run with `npm run mock-gopay`, then point the API at it:
+//   LOCAL_API_BASE_URL=http://localhost:5002
+// Credentials and WEBHOOK_SECRET are read the same way the API reads
+// them, so both sides agree without extra setup.
+const config = loadConfig();
+const port = Number(process.env.MOCK_GOPAY_PORT) || 5002;
+
+const mock = createMockGoPay({
+  username: config.gopay.username,
+  password: config.gopay.password,
+  publicUrl: process.env.MOCK_GOPAY_PUBLIC_URL || undefined,
+  qrDelayMs: Number(process.env.MOCK_GOPAY_QR_DELAY_MS) || 0,
+  latencyMs: Number(process.env.MOCK_GOPAY_LATENCY_MS) || 0,
+  webhookTarget:
+    process.env.MOCK_GOPAY_WEBHOOK_TARGET || `http://localhost:${config.port}`,
+  webhookSecret: config.webhooks.secret,
+});
+
+mock.app.listen(port, () =>
+  console.log(`🧪 Mock GoPay running on port ${port}`)
+);
@@ -1,199 +1,109 @@
 require("dotenv").config();
-const express = require("express");
-const axios = require("axios");
-const cors = require("cors");
-const admin = require("firebase-admin");
+const { loadConfig, loadServiceAccount } = require("./lib/config");
+const { createGoPayClient } = require("./lib/gopayClient");
+const { createApp } = require("./lib/app");
+const { createStorage } = require("./lib/storage");
+const { createExpirySweeper } = require("./lib/expirySweeper");
+const { createReconciliationJob } = require("./lib/reconciliation");
+const { logger } = require("./lib/logger");
+const { createMetrics } = require("./lib/metrics");
+const { createTenantRegistry, scopeEvents } = require("./lib/tenants");
 
-// ── Load GCP Service Account ─────────────────────────────────
-let serviceAccount;
-if (process.env.GCP_SERVICE_ACCOUNT_JSON) {
-  // In production, pull from ENV
-  serviceAccount = JSON.parse(process.env.GCP_SERVICE_ACCOUNT_JSON);
-} else {
-  // In local dev, load from file
-  try {
-    serviceAccount = require("./serviceAccountKey.json");
-  } catch (err) {
-    console.error(
-      "❌ serviceAccountKey.json not found and GCP_SERVICE_ACCOUNT_JSON not set"
+// ── Resolve Configuration (SERVER_MODE / NODE_ENV) ───────────
+const config = loadConfig();
+logger.setLevel(config.logLevel);
+
+// ── Load GCP Service Account (Firestore backend only) ────────
+let serviceAccount = null;
+if (config.storage.backend === "firestore") {
+  serviceAccount = loadServiceAccount(config);
+  if (!serviceAccount) {
+    logger.error(
+      config.mode === "localhost"
+        ? "serviceAccountKey.json not found and GCP_SERVICE_ACCOUNT_JSON not set"
+        : "GCP_SERVICE_ACCOUNT_JSON is missing"
     );
     process.exit(1);
   }
 }
 
-const app = express();
+// ── Webhook Secret ───────────────────────────────────────────
+// Unsigned webhooks are only tolerated on a developer machine.
+if (!config.webhooks.secret) {
+  if (config.mode !== "localhost") {
+    logger.error("WEBHOOK_SECRET is missing");
+    process.exit(1);
+  }
+  logger.warn("WEBHOOK_SECRET not set: webhook signatures are NOT checked");
+}
 
-// ── Body parsing & CORS ─────────────────────────────────────
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(cors());
+// ── Admin Credentials ────────────────────────────────────────
+if (!config.admin.apiKeys.length && !config.admin.jwt.secret)
+  logger.warn(
+    "ADMIN_API_KEYS and ADMIN_JWT_SECRET not set: the admin API refuses every request"
+  );
 
-// ── Healthcheck ─────────────────────────────────────────────
-app.get("/", (req, res) => res.send("🚀 GoPay API is Running!"));
+// ── Browser Origins (CORS_ORIGINS) ───────────────────────────
+// Outside localhost the checkout routes only answer browsers from the
+// listed shop origins; without any, the shop frontend cannot call them.
+if (config.mode !== "localhost" && !(config.cors.checkoutOrigins || []).length)
+  logger.warn(
+    "CORS_ORIGINS not set: browsers cannot call /api/create-invoice or /api/invoice-status from any origin"
+  );
 
-// ── Firestore Init ──────────────────────────────────────────
-admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
-const db = admin.firestore();
+// ── Client IPs (TRUST_PROXY) ─────────────────────────────────
+// Per-IP rate limits key on req.ip. Behind a load balancer that is the
+// balancer's address, and every shopper shares one bucket, unless
+// TRUST_PROXY names the proxies to trust (e.g. 1, or "loopback").
+if (config.mode !== "localhost" && !config.trustProxy)
+  logger.warn(
+    "TRUST_PROXY not set: behind a proxy, per-IP rate limits see the proxy's address for every client"
+  );
 
-// ── Determine Environment & GoPay Credentials ────────────────
-const isProduction = process.env.NODE_ENV === "production";
-const API_BASE_URL = isProduction
-  ? process.env.API_BASE_URL
-  : process.env.LOCAL_API_BASE_URL || process.env.API_BASE_URL;
-const API_USERNAME = isProduction
-  ? process.env.GOPAY_USERNAME
-  : process.env.LOCAL_GOPAY_USERNAME || process.env.GOPAY_USERNAME;
-const API_PASSWORD = isProduction
-  ? process.env.GOPAY_PASSWORD
-  : process.env.LOCAL_GOPAY_PASSWORD || process.env.GOPAY_PASSWORD;
-const ENTITY_ACTIVITY_ID = isProduction
-  ? process.env.ENTITY_ACTIVITY_ID
-  : process.env.LOCAL_ENTITY_ACTIVITY_ID || process.env.ENTITY_ACTIVITY_ID;
+// ── Storage (STORAGE_BACKEND=firestore|memory|file) ──────────
+const storage = createStorage(config.storage, serviceAccount);
 
-// ── Helper: Build GoPay line items ───────────────────────────
-function buildBillItems(items) {
-  return items.map((item) => ({
-    reference: item.id,
-    name: item.productName,
-    quantity: item.quantity,
-    unitPrice: Number(item.subtotal / item.quantity).toFixed(2),
-    discount: 0,
-    vat: "0.15",
-  }));
-}
+// ── Metrics (GET /metrics) ───────────────────────────────────
+const metrics = createMetrics({ defaultMetrics: true });
 
-// ── Create Invoice Endpoint ──────────────────────────────────
-app.post("/api/create-invoice", async (req, res) => {
-  try {
-    const {
-      firstName,
-      lastName,
-      phone,
-      email,
-      billNumber,
-      issueDate,
-      expireDate,
-      serviceName,
-      items,
-      amount,
-      shippingCost,
-    } = req.body;
-    if (!Array.isArray(items) || !items.length)
-      return res.status(400).json({ error: "Empty cart" });
-    const billItemList = buildBillItems(items);
-    if (shippingCost > 0)
-      billItemList.push({
-        reference: "shipping",
-        name: "Shipping",
-        quantity: 1,
-        unitPrice: Number(shippingCost).toFixed(2),
-        discount: 0,
-        vat: "0.15",
-      });
-    const invoiceRequest = {
-      billNumber: billNumber || Date.now().toString(),
-      entityActivityId: ENTITY_ACTIVITY_ID,
-      customerFullName: `${firstName} ${lastName}`.trim() || "Unknown Buyer",
-      customerEmailAddress: email || "no-reply@domain.com",
-      customerMobileNumber: phone || "0000000000",
-      issueDate: issueDate || new Date().toISOString().split("T")[0],
-      expireDate:
-        expireDate ||
-        new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
-          .toISOString()
-          .split("T")[0],
-      serviceName: serviceName || "Order Payment",
-      billItemList,
-      totalAmount: Number(amount).toFixed(2),
-      isPublicView: true,
-      showOnlinePayNowButton: true,
-    };
-    const headers = {
-      "Content-Type": "application/json",
-      username: API_USERNAME,
-      password: API_PASSWORD,
-    };
-    const gp = await axios.post(
-      `${API_BASE_URL}/simple/upload`,
-      invoiceRequest,
-      { headers }
-    );
-    const billNo = gp.data?.data?.billNumber;
-    if (!billNo)
-      return res.status(500).json({ error: "No billNumber returned" });
-    await new Promise((r) => setTimeout(r, 3000));
-    const info = await axios.get(
-      `${API_BASE_URL}/bill/info?billNumber=${billNo}`,
-      { headers }
-    );
-    const qrText = info.data?.data?.qr || "";
-    const redirectUrl =
-      (qrText.match(/https:\/\/.*verify\/bill\?billNumber=\w+/) || [])[0] ||
-      null;
-    res.json({ success: true, billNumber: billNo, redirectUrl });
-  } catch (err) {
-    console.error(
-      "🚨 create-invoice error:",
-      err.response?.data || err.message
-    );
-    res
-      .status(err.response?.status || 500)
-      .json({ error: err.response?.data || err.message });
-  }
+// ── Merchants (GOPAY_* and/or MERCHANTS / MERCHANTS_FILE) ────
+// Each merchant gets its own GoPay client, and so its own breaker.
+const tenants = createTenantRegistry({
+  storage,
+  merchants: config.merchants,
+  createClient: ({ baseUrl, username, password }) =>
+    createGoPayClient({
+      ...config.gopay,
+      baseUrl,
+      username,
+      password,
+      metrics,
+    }),
 });
-
-// ── Payment Notification Webhook ────────────────────────────
-app.post("/api/payment-notification", async (req, res) => {
-  try {
-    const { billNumber, paymentStatus, paymentAmount, paymentDate } = req.body;
-    if (!billNumber || !paymentStatus)
-      return res.status(400).json({ error: "Missing fields" });
-    await db
-      .collection("payments")
-      .doc(billNumber)
-      .set(
-        {
-          paymentStatus,
-          paymentAmount: paymentAmount || 0,
-          paymentDate: paymentDate || new Date().toISOString(),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        },
-        { merge: true }
-      );
-    res.json({ status: 200, message: "Operation Done" });
-  } catch (e) {
-    console.error("🔥 payment-notification error:", e);
-    res.status(500).json({ error: "Internal Server Error" });
-  }
+logger.info("merchants loaded", {
+  merchants: tenants.list().map((tenant) => tenant.id),
 });
 
-// ── Settlement Notification Webhook ─────────────────────────
-app.post("/api/settlement-notification", async (req, res) => {
-  try {
-    const { billNumber, settlementStatus, paymentAmount, paymentDate, bankId } =
-      req.body;
-    if (!billNumber || !settlementStatus)
-      return res.status(400).json({ error: "Missing fields" });
-    await db
-      .collection("settlements")
-      .doc(billNumber)
-      .set(
-        {
-          settlementStatus,
-          paymentAmount: paymentAmount || 0,
-          paymentDate: paymentDate || new Date().toISOString(),
-          bankId: bankId || "Unknown",
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        },
-        { merge: true }
-      );
-    res.json({ status: 200, message: "Operation Done" });
-  } catch (e) {
-    console.error("🔥 settlement-notification error:", e);
-    res.status(500).json({ error: "Internal Server Error" });
-  }
-});
+// ── Express App ─────────────────────────────────────────────
+const app = createApp({ config, storage, tenants, metrics });
+
+// ── Background Jobs, per merchant ────────────────────────────
+// EXPIRY_SWEEP_INTERVAL_MS=0 / RECONCILIATION_INTERVAL_MS=0 disable them.
+for (const tenant of tenants.list()) {
+  createExpirySweeper({
+    tenant,
+    events: scopeEvents(app.locals.events, tenant.id),
+    issuer: app.locals.issuer,
+    nextBillNumber: app.locals.nextBillNumber,
+    ...config.expiry,
+  }).start();
+  createReconciliationJob({
+    storage: tenant.storage,
+    ...config.reconciliation,
+  }).start();
+}
 
 // ── Start Server ─────────────────────────────────────────────
-const PORT = process.env.PORT || 5001;
-app.listen(PORT, () => console.log(`🚀 GoPay API running on port ${PORT}`));
+app.listen(config.port, () =>
+  logger.info("GoPay API running", { port: config.port, mode: config.mode })
+);
@@ -0,0 +1,271 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startHarness,
+  cart,
+  ADMIN_KEYS,
+  ADMIN_JWT_SECRET,
+} = require("./helpers");
+const { signJwt } = require("../lib/adminAuth");
+
+const as = (role) => ({ "X-API-Key": ADMIN_KEYS[role] });
+const bearer = (payload, secret = ADMIN_JWT_SECRET) => ({
+  Authorization: `Bearer ${signJwt(payload, secret)}`,
+});
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+// Audit entries are written once the response has been sent.
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+describe("admin API", () => {
+  let h;
+  let billNumber;
+  beforeEach(async () => {
+    h = await startHarness();
+    const created = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+    billNumber = created.body.billNumber;
+  });
+  afterEach(() => h.close());
+
+  it("refuses requests without credentials", async () => {
+    const res = await h.request("GET", "/api/invoices");
+
+    assert.equal(res.status, 401);
+    assert.deepEqual(res.body, { error: "Authentication required" });
+    assert.equal(res.headers.get("www-authenticate"), 'Bearer realm="admin"');
+  });
+
+  it("refuses every lookup, change and report route without credentials", async () => {
+    const routes = [
+      ["GET", "/api/invoices"],
+      ["GET", `/api/invoices/${billNumber}`],
+      ["PATCH", `/api/invoices/${billNumber}`],
+      ["POST", `/api/invoices/${billNumber}/cancel`],
+      ["GET", "/api/notifications"],
+      ["POST", "/api/notifications/any/reprocess"],
+      ["GET", "/api/reports/reconciliation"],
+    ];
+
+    for (const [method, path] of routes) {
+      const res = await h.request(method, path, {
+        body: method === "GET" ? undefined : { expireDate: "2099-01-01" },
+      });
+      assert.equal(res.status, 401, `${method} ${path}`);
+    }
+    assert.equal(h.mock.bills.get(billNumber).billStatus, "UNPAID");
+  });
+
+  it("refuses an unknown API key", async () => {
+    const res = await h.request("GET", "/api/invoices", {
+      headers: { "X-API-Key": "nope" },
+    });
+
+    assert.equal(res.status, 401);
+    assert.deepEqual(res.body, { error: "Invalid credentials" });
+  });
+
+  it("lets a viewer read but not change invoices", async () => {
+    const list = await h.request("GET", "/api/invoices", {
+      headers: as("viewer"),
+    });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.invoices.length, 1);
+
+    const cancel = await h.request(
+      "POST",
+      `/api/invoices/${billNumber}/cancel`,
+      { headers: as("viewer") }
+    );
+    assert.equal(cancel.status, 403);
+    assert.deepEqual(cancel.body, {
+      error: "Forbidden",
+      required: "invoices:write",
+    });
+  });
+
+  it("finds invoices by customer however the query is written", async () => {
+    const list = (customer) =>
+      h.request(
+        "GET",
+        `/api/invoices?customer=${encodeURIComponent(customer)}`,
+        {
+          headers: as("viewer"),
+        }
+      );
+
+    const byEmail = await list(" Sara@Example.com ");
+    assert.deepEqual(
+      byEmail.body.invoices.map((i) => i.billNumber),
+      [billNumber]
+    );
+    const byPhone = await list("050-000 0000");
+    assert.deepEqual(
+      byPhone.body.invoices.map((i) => i.billNumber),
+      [billNumber]
+    );
+  });
+
+  it("keeps refunds and reports to finance", async () => {
+    await h.mock.pay(billNumber);
+
+    const bySupport = await h.request(
+      "POST",
+      `/api/invoices/${billNumber}/refunds`,
+      { headers: as("support"), body: { amount: "5.00" } }
+    );
+    assert.equal(bySupport.status, 403);
+
+    const byFinance = await h.request(
+      "POST",
+      `/api/invoices/${billNumber}/refunds`,
+      { headers: as("finance"), body: { amount: "5.00" } }
+    );
+    assert.equal(byFinance.status, 201);
+
+    const report = await h.request("GET", "/api/reports/reconciliation", {
+      headers: as("support"),
+    });
+    assert.equal(report.status, 403);
+  });
+
+  it("records who changed which bill in the audit log", async () => {
+    await h.request("POST", `/api/invoices/${billNumber}/cancel`, {
+      headers: as("viewer"),
+    });
+    const cancel = await h.request(
+      "POST",
+      `/api/invoices/${billNumber}/cancel`,
+      { headers: { ...as("support"), "X-Request-Id": "cancel-1" } }
+    );
+    assert.equal(cancel.status, 200);
+    await h.request("GET", `/api/invoices/${billNumber}`, {
+      headers: as("support"),
+    });
+    await settle();
+
+    const res = await h.request(
+      "GET",
+      `/api/admin/audit-log?billNumber=${billNumber}`,
+      { headers: as("finance") }
+    );
+    assert.equal(res.status, 200);
+    const entries = res.body.entries.map(
+      ({ actor, action, status, requestId }) => ({
+        actor,
+        action,
+        status,
+        requestId,
+      })
+    );
+    assert.equal(entries.length, 2);
+    assert.deepEqual(
+      entries.find((e) => e.status === 200),
+      {
+        actor: "support-user",
+        action: "POST /api/invoices/:billNumber/cancel",
+        status: 200,
+        requestId: "cancel-1",
+      }
+    );
+    assert.equal(entries.find((e) => e.status === 403).actor, "viewer-user");
+  });
+
+  it("records refused authentication in the audit log", async () => {
+    await h.request("POST", `/api/invoices/${billNumber}/cancel`, {
+      headers: { "X-API-Key": "stolen", "X-Request-Id": "guess-1" },
+    });
+    await h.request("GET", "/api/invoices");
+    await settle();
+
+    const res = await h.request("GET", "/api/admin/audit-log", {
+      headers: as("finance"),
+    });
+    const refused = res.body.entries.filter((e) => e.status === 401);
+
+    assert.equal(refused.length, 1);
+    assert.equal(refused[0].actor, null);
+    assert.equal(refused[0].reason, "unknown api key");
+    assert.equal(refused[0].action, `POST /api/invoices/${billNumber}/cancel`);
+    assert.equal(refused[0].requestId, "guess-1");
+  });
+
+  it("accepts a signed JWT carrying roles", async () => {
+    const res = await h.request("GET", "/api/admin/me", {
+      headers: bearer({
+        sub: "ops@example.com",
+        roles: ["finance"],
+        exp: inAnHour(),
+      }),
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.id, "ops@example.com");
+    assert.equal(res.body.via, "jwt");
+    assert.ok(res.body.permissions.includes("refunds:write"));
+  });
+
+  it("refuses expired or forged JWTs", async () => {
+    const expired = await h.request("GET", "/api/admin/me", {
+      headers: bearer({ sub: "ops", roles: ["viewer"], exp: 1 }),
+    });
+    const forged = await h.request("GET", "/api/admin/me", {
+      headers: bearer(
+        { sub: "ops", roles: ["viewer"], exp: inAnHour() },
+        "someone-elses-secret"
+      ),
+    });
+
+    assert.equal(expired.status, 401);
+    assert.equal(forged.status, 401);
+  });
+});
+
+describe("CORS", () => {
+  let h;
+  beforeEach(async () => {
+    h = await startHarness({
+      env: {
+        CORS_ORIGINS: "https://shop.example.com",
+        ADMIN_CORS_ORIGINS: "https://backoffice.example.com",
+      },
+    });
+  });
+  afterEach(() => h.close());
+
+  const preflight = (path, origin) =>
+    h.request("OPTIONS", path, {
+      headers: { Origin: origin, "Access-Control-Request-Method": "POST" },
+    });
+
+  it("allows checkout calls from the shop origin only", async () => {
+    const shop = await preflight(
+      "/api/create-invoice",
+      "https://shop.example.com"
+    );
+    const other = await preflight(
+      "/api/create-invoice",
+      "https://evil.example"
+    );
+
+    assert.equal(
+      shop.headers.get("access-control-allow-origin"),
+      "https://shop.example.com"
+    );
+    assert.equal(other.headers.get("access-control-allow-origin"), null);
+  });
+
+  it("allows admin calls from the back-office origin only", async () => {
+    const backoffice = await preflight(
+      "/api/invoices",
+      "https://backoffice.example.com"
+    );
+    const shop = await preflight("/api/invoices", "https://shop.example.com");
+
+    assert.equal(
+      backoffice.headers.get("access-control-allow-origin"),
+      "https://backoffice.example.com"
+    );
+    assert.equal(shop.headers.get("access-control-allow-origin"), null);
+  });
+});
@@ -0,0 +1,186 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, cart, ADMIN_KEYS } = require("./helpers");
+
+const support = { "X-API-Key": ADMIN_KEYS.support };
+
+// Polls the batch until its background upload has finished.
+async function waitForBatch(h, batchId) {
+  for (let i = 0; i < 100; i += 1) {
+    const res = await h.request("GET", `/api/batches/${batchId}`, {
+      headers: support,
+    });
+    if (res.body.state === "completed") return res.body;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`batch ${batchId} did not complete`);
+}
+
+const CSV = [
+  "reference,firstName,lastName,email,itemId,productName,quantity,unitPrice",
+  "ACME-1,Sara,Ali,sara@example.com,sku-1,Coffee,2,10.00",
+  'ACME-1,,,,sku-2,"Filter, paper",1,5.00',
+  "ACME-2,Omar,Said,omar@example.com,sku-1,Coffee,1,10.00",
+].join("\r\n");
+
+describe("POST /api/batches", () => {
+  let h;
+  beforeEach(async () => {
+    h = await startHarness({ env: { BATCH_CONCURRENCY: "1" } });
+  });
+  afterEach(() => h.close());
+
+  it("uploads a JSON batch and reports a result per row", async () => {
+    const res = await h.request("POST", "/api/batches", {
+      body: [
+        { reference: "sub-1", ...cart() },
+        { reference: "sub-2", ...cart({ email: "b@example.com" }) },
+      ],
+      headers: support,
+    });
+
+    assert.equal(res.status, 202);
+    assert.equal(res.body.total, 2);
+    const batch = await waitForBatch(h, res.body.batchId);
+    assert.equal(batch.source, "json");
+    assert.equal(batch.succeeded, 2);
+    assert.equal(batch.failed, 0);
+    assert.deepEqual(
+      batch.rows.map((r) => [r.row, r.reference, r.status]),
+      [
+        [1, "sub-1", "ready"],
+        [2, "sub-2", "ready"],
+      ]
+    );
+    for (const row of batch.rows) {
+      assert.match(row.redirectUrl, /\/verify\/bill\?billNumber=\w+$/);
+      const invoice = await h.storage.invoices.get(row.billNumber);
+      assert.equal(invoice.state, "awaiting-payment");
+    }
+  });
+
+  it("groups CSV lines into invoices by reference", async () => {
+    const res = await h.request("POST", "/api/batches", {
+      body: CSV,
+      headers: { ...support, "Content-Type": "text/csv" },
+    });
+
+    assert.equal(res.status, 202);
+    const batch = await waitForBatch(h, res.body.batchId);
+    assert.equal(batch.source, "csv");
+    assert.deepEqual(
+      batch.rows.map((r) => [r.reference, r.lines, r.status]),
+      [
+        ["ACME-1", [2, 3], "ready"],
+        ["ACME-2", [4], "ready"],
+      ]
+    );
+    const bill = h.mock.bills.get(batch.rows[0].billNumber);
+    assert.equal(bill.billItemList.length, 2);
+    assert.equal(bill.totalAmount, "28.75");
+    assert.equal(bill.customerEmailAddress, "sara@example.com");
+  });
+
+  it("refuses the whole batch when any invoice is invalid", async () => {
+    const res = await h.request("POST", "/api/batches", {
+      body: [cart(), cart({ items: [] }), cart({ email: "nope" })],
+      headers: support,
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Invalid batch");
+    assert.deepEqual(
+      res.body.rows.map((r) => [r.row, r.fields.map((f) => f.field)]),
+      [
+        [2, ["items"]],
+        [3, ["email"]],
+      ]
+    );
+    assert.equal(h.mock.calls.length, 0);
+  });
+
+  it("refuses unknown CSV columns", async () => {
+    const res = await h.request("POST", "/api/batches", {
+      body: "productName,colour\nCoffee,red\n",
+      headers: { ...support, "Content-Type": "text/csv" },
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.fields, [
+      { field: "colour", message: "unknown column" },
+    ]);
+  });
+
+  it("records a GoPay failure on its row and carries on", async () => {
+    h.mock.fail({
+      operation: "uploadBill",
+      status: 422,
+      body: { status: 422, message: "Invalid entityActivityId" },
+      times: 1,
+    });
+    const res = await h.request("POST", "/api/batches", {
+      body: [cart(), cart()],
+      headers: support,
+    });
+    const batch = await waitForBatch(h, res.body.batchId);
+
+    assert.equal(batch.succeeded, 1);
+    assert.equal(batch.failed, 1);
+    assert.equal(batch.rows[0].status, "failed");
+    assert.equal(batch.rows[0].error, "Invalid entityActivityId");
+    assert.equal(batch.rows[1].status, "ready");
+
+    const report = await h.request(
+      "GET",
+      `/api/batches/${res.body.batchId}?format=csv`,
+      { headers: support }
+    );
+    assert.match(report.headers.get("content-type"), /text\/csv/);
+    const lines = report.body.trim().split("\r\n");
+    assert.equal(lines[0], "row,reference,status,billNumber,redirectUrl,error");
+    assert.equal(lines[1], "1,,failed,,,Invalid entityActivityId");
+    assert.match(lines[2], /^2,,ready,\w+,http/);
+  });
+
+  it("keeps the billNumber of a row whose pay page never appeared", async () => {
+    h.mock.fail({ operation: "getBillInfo", status: 502 });
+    const res = await h.request("POST", "/api/batches", {
+      body: [cart()],
+      headers: support,
+    });
+    const batch = await waitForBatch(h, res.body.batchId);
+
+    assert.equal(batch.rows[0].status, "pending");
+    assert.ok(h.mock.bills.has(batch.rows[0].billNumber));
+    assert.equal(batch.succeeded, 1);
+  });
+
+  it("checks the caller before reading the body", async () => {
+    const malformed = "[" + "x".repeat(1000);
+    const anonymous = await h.request("POST", "/api/batches", {
+      body: malformed,
+    });
+    const viewer = await h.request("POST", "/api/batches", {
+      body: malformed,
+      headers: { "X-API-Key": ADMIN_KEYS.viewer },
+    });
+    const allowed = await h.request("POST", "/api/batches", {
+      body: malformed,
+      headers: support,
+    });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(viewer.status, 403);
+    // Only an uploader's body gets parsed (and refused as malformed).
+    assert.equal(allowed.status, 400);
+  });
+
+  it("needs invoices:write", async () => {
+    const res = await h.request("POST", "/api/batches", {
+      body: [cart()],
+      headers: { "X-API-Key": ADMIN_KEYS.viewer },
+    });
+
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, cart } = require("./helpers");
+
+describe("POST /api/create-invoice", () => {
+  let h;
+  beforeEach(async () => {
+    h = await startHarness();
+  });
+  afterEach(() => h.close());
+
+  it("uploads the bill and answers with the pay-page URL", async () => {
+    const res = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.status, "ready");
+    assert.match(res.body.redirectUrl, /\/verify\/bill\?billNumber=\w+$/);
+    assert.equal(res.body.breakdown.vat, "3.00");
+    assert.equal(res.body.breakdown.gross, "23.00");
+
+    const bill = h.mock.bills.get(res.body.billNumber);
+    assert.equal(bill.totalAmount, "23.00");
+    assert.equal(bill.customerEmailAddress, "sara@example.com");
+
+    const invoice = await h.storage.invoices.get(res.body.billNumber);
+    assert.equal(invoice.state, "awaiting-payment");
+    assert.equal(invoice.redirectUrl, res.body.redirectUrl);
+  });
+
+  it("rejects an empty cart without calling GoPay", async () => {
+    const res = await h.request("POST", "/api/create-invoice", {
+      body: cart({ items: [] }),
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.fields, [
+      { field: "items", message: "cart is empty" },
+    ]);
+    assert.equal(h.mock.bills.size, 0);
+  });
+
+  it("rejects an expireDate in the past", async () => {
+    const res = await h.request("POST", "/api/create-invoice", {
+      body: cart({ issueDate: "2020-01-01", expireDate: "2020-01-02" }),
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.fields, [
+      {
+        field: "expireDate",
+        message: "must be a YYYY-MM-DD date no earlier than today",
+      },
+    ]);
+    assert.equal(h.mock.bills.size, 0);
+  });
+
+  it("passes a GoPay error through and stores nothing", async () => {
+    h.mock.fail({
+      operation: "uploadBill",
+      status: 422,
+      body: { status: 422, message: "Invalid entityActivityId" },
+    });
+    const res = await h.request("POST", "/api/create-invoice", {
+      body: cart({ billNumber: "GP1001" }),
+    });
+
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.error, {
+      status: 422,
+      message: "Invalid entityActivityId",
+    });
+    assert.equal(await h.storage.invoices.get("GP1001"), null);
+  });
+
+  it("fails when GoPay answers without a billNumber", async () => {
+    h.mock.fail({
+      operation: "uploadBill",
+      status: 200,
+      body: { status: 200, message: "Operation Done", data: {} },
+    });
+    const res = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+
+    assert.equal(res.status, 500);
+    assert.deepEqual(res.body, { error: "No billNumber returned" });
+  });
+
+  it("answers pending with a status URL when the QR never shows up", async () => {
+    h.mock.fail({
+      operation: "getBillInfo",
+      status: 200,
+      body: { status: 200, message: "Operation Done", data: { qr: null } },
+    });
+    const res = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "pending");
+    assert.equal(res.body.redirectUrl, null);
+    assert.equal(
+      res.body.statusUrl,
+      `/api/invoice-status/${res.body.billNumber}`
+    );
+    const invoice = await h.storage.invoices.get(res.body.billNumber);
+    assert.equal(invoice.state, "created");
+
+    h.mock.clearFaults();
+    const status = await h.request("GET", res.body.statusUrl);
+    assert.equal(status.body.status, "ready");
+    const ready = await h.storage.invoices.get(res.body.billNumber);
+    assert.equal(ready.state, "awaiting-payment");
+  });
+
+  it("answers pending within the readiness deadline when GoPay is slow", async () => {
+    h.mock.fail({ operation: "getBillInfo", delayMs: 1000 });
+
+    const started = Date.now();
+    const res = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "pending");
+    // BILL_POLL_DEADLINE_MS is 100 in the harness.
+    assert.ok(Date.now() - started < 500, `took ${Date.now() - started}ms`);
+  });
+});
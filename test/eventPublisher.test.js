@@ -0,0 +1,93 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEventPublisher } = require("../lib/outboundWebhooks");
+const { signPayload } = require("../lib/webhookAuth");
+const { createMemoryDb } = require("../lib/storage/memoryDb");
+
+const subscription = {
+  id: "sub-1",
+  url: "https://merchant.example.com/hooks",
+  secret: "merchant-secret",
+  events: ["invoice.paid"],
+  active: true,
+};
+
+describe("event publisher", () => {
+  let http;
+  let waits;
+  let publisher;
+  beforeEach(() => {
+    waits = [];
+    http = {
+      posts: [],
+      failures: 0,
+      async post(url, body, options) {
+        this.posts.push({ url, body, headers: options.headers });
+        if (this.failures > 0) {
+          this.failures--;
+          throw Object.assign(new Error("Bad Gateway"), {
+            response: { status: 502 },
+          });
+        }
+        return { status: 200 };
+      },
+    };
+    publisher = createEventPublisher({
+      db: createMemoryDb(),
+      subscriptions: {
+        forEvent: async (type) =>
+          subscription.events.includes(type) ? [subscription] : [],
+        get: async (id) => (id === subscription.id ? subscription : null),
+      },
+      http,
+      maxAttempts: 3,
+      baseDelayMs: 10,
+      wait: async (ms) => void waits.push(ms),
+    });
+  });
+
+  it("signs each delivery with the subscription's secret", async () => {
+    const event = await publisher.publish("invoice.paid", { billNumber: "B1" });
+
+    assert.equal(http.posts.length, 1);
+    const [{ url, body, headers }] = http.posts;
+    assert.equal(url, subscription.url);
+    assert.deepEqual(JSON.parse(body), event);
+    assert.equal(headers["X-Webhook-Event"], "invoice.paid");
+    assert.equal(
+      headers["X-Webhook-Signature"],
+      signPayload(subscription.secret, headers["X-Webhook-Timestamp"], body)
+    );
+  });
+
+  it("only delivers events the subscription asked for", async () => {
+    await publisher.publish("invoice.expired", { billNumber: "B1" });
+    assert.equal(http.posts.length, 0);
+  });
+
+  it("retries with exponential backoff until the merchant answers", async () => {
+    http.failures = 2;
+    await publisher.publish("invoice.paid", { billNumber: "B1" });
+
+    assert.equal(http.posts.length, 3);
+    assert.deepEqual(waits, [10, 20]);
+    assert.deepEqual(await publisher.listDeadLetters(), []);
+  });
+
+  it("dead-letters a delivery after the last attempt and replays it", async () => {
+    http.failures = 3;
+    const event = await publisher.publish("invoice.paid", { billNumber: "B1" });
+
+    const [letter] = await publisher.listDeadLetters();
+    assert.equal(letter.subscriptionId, subscription.id);
+    assert.equal(letter.attempts, 3);
+    assert.equal(letter.lastError, "HTTP 502");
+    assert.deepEqual(letter.event, event);
+
+    const result = await publisher.replay(letter.id);
+    assert.equal(result.delivered, true);
+    assert.deepEqual(JSON.parse(http.posts.at(-1).body), event);
+    assert.deepEqual(await publisher.listDeadLetters(), []);
+    assert.equal(await publisher.replay("missing"), null);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, cart } = require("./helpers");
+
+describe("GoPay resilience", () => {
+  let h;
+  beforeEach(async () => {
+    h = await startHarness({
+      env: {
+        GOPAY_BREAKER_THRESHOLD: "2",
+        GOPAY_BREAKER_RESET_MS: "60000",
+        GOPAY_RETRY_DELAY_MS: "0",
+        GOPAY_READ_TIMEOUT_MS: "200",
+      },
+    });
+  });
+  afterEach(() => h.close());
+
+  it("retries a bill lookup after a transient failure", async () => {
+    const created = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+    h.mock.fail({ operation: "getBillInfo", status: 502, times: 1 });
+    h.mock.fail({ operation: "getBillInfo", delayMs: 400, times: 1 });
+
+    const res = await h.request(
+      "GET",
+      `/api/invoice-status/${created.body.billNumber}`
+    );
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ready");
+  });
+
+  it("lets a caller turn lookup retries off and shorten the timeout", async () => {
+    const { billNumber } = (
+      await h.request("POST", "/api/create-invoice", { body: cart() })
+    ).body;
+    const { gopay } = h.tenants.default;
+    const lookups = () =>
+      h.mock.calls.filter((c) => c.operation === "getBillInfo").length;
+    const before = lookups();
+
+    h.mock.fail({ operation: "getBillInfo", status: 502, times: 1 });
+    await assert.rejects(gopay.getBillInfo(billNumber, { retries: 0 }), {
+      status: 502,
+    });
+    assert.equal(lookups(), before + 1);
+
+    h.mock.fail({ operation: "getBillInfo", delayMs: 400, times: 1 });
+    const started = Date.now();
+    await assert.rejects(
+      gopay.getBillInfo(billNumber, { retries: 0, timeoutMs: 50 })
+    );
+    assert.ok(Date.now() - started < 300);
+  });
+
+  it("never retries an upload", async () => {
+    h.mock.fail({ operation: "uploadBill", status: 500, times: 1 });
+
+    const res = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+
+    assert.equal(res.status, 500);
+    assert.equal(h.mock.bills.size, 0);
+  });
+
+  it("opens the circuit and fails fast with 503 while GoPay is down", async () => {
+    h.mock.fail({ operation: "uploadBill", drop: true });
+    for (let i = 0; i < 2; i += 1) {
+      const res = await h.request("POST", "/api/create-invoice", {
+        body: cart(),
+      });
+      assert.equal(res.status, 500);
+    }
+
+    const res = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+    assert.equal(res.status, 503);
+    assert.deepEqual(res.body, {
+      error: "GoPay is unavailable, please retry later",
+    });
+    assert.equal(res.headers.get("retry-after"), "60");
+
+    const health = await h.request("GET", "/api/health");
+    assert.equal(health.body.status, "degraded");
+    assert.equal(health.body.gopay.default.circuit.state, "open");
+    assert.equal(health.body.gopay.default.circuit.rejected, 1);
+  });
+
+  it("does not count refusals (4xx) against GoPay", async () => {
+    h.mock.fail({ operation: "uploadBill", status: 422, times: 3 });
+    for (let i = 0; i < 3; i += 1)
+      await h.request("POST", "/api/create-invoice", { body: cart() });
+
+    const health = await h.request("GET", "/api/health");
+    assert.equal(health.body.status, "ok");
+    assert.equal(health.body.gopay.default.circuit.state, "closed");
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers");
+
+describe("GET /healthz and /readyz", () => {
+  let h;
+  afterEach(() => h.close());
+
+  it("is live and ready with storage and settings in place", async () => {
+    h = await startHarness();
+
+    const live = await h.request("GET", "/healthz");
+    assert.equal(live.status, 200);
+    assert.equal(live.body.status, "ok");
+
+    const res = await h.request("GET", "/readyz");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ready");
+    assert.equal(res.body.checks.storage.status, "ok");
+    assert.equal(res.body.checks.storage.backend, "memory");
+    assert.equal(res.body.checks.config.status, "ok");
+    assert.deepEqual(res.body.checks.gopay, {
+      status: "skipped",
+      circuits: { default: "closed" },
+    });
+    assert.equal(h.mock.calls.length, 0);
+  });
+
+  it("lists missing GoPay settings and answers 503", async () => {
+    h = await startHarness({ env: { ENTITY_ACTIVITY_ID: "" } });
+
+    const res = await h.request("GET", "/readyz");
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, "not_ready");
+    assert.deepEqual(res.body.checks.config, {
+      status: "fail",
+      missing: ["ENTITY_ACTIVITY_ID"],
+    });
+  });
+
+  it("probes GoPay when asked to", async () => {
+    h = await startHarness({ env: { READINESS_PROBE_GOPAY: "true" } });
+
+    const ok = await h.request("GET", "/readyz");
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.checks.gopay.status, "ok");
+
+    h.mock.fail({ operation: "getBillInfo", status: 401 });
+    const unauthorized = await h.request("GET", "/readyz");
+    assert.equal(unauthorized.status, 503);
+    assert.equal(
+      unauthorized.body.checks.gopay.merchants.default.error,
+      "GoPay rejected the configured credentials"
+    );
+  });
+
+  it("fails the probe when GoPay does not answer in time", async () => {
+    h = await startHarness({
+      env: { READINESS_PROBE_GOPAY: "true", READINESS_TIMEOUT_MS: "100" },
+    });
+    h.mock.fail({ operation: "getBillInfo", delayMs: 300 });
+
+    const res = await h.request("GET", "/readyz");
+    assert.equal(res.status, 503);
+    assert.equal(res.body.checks.gopay.status, "fail");
+    assert.match(
+      res.body.checks.gopay.merchants.default.error,
+      /timed out after 100ms/
+    );
+  });
+});
@@ -0,0 +1,146 @@
+const http = require("http");
+const { loadConfig } = require("../lib/config");
+const { createStorage } = require("../lib/storage");
+const { createGoPayClient } = require("../lib/gopayClient");
+const { createApp } = require("../lib/app");
+const { createMockGoPay } = require("../lib/mockGopay");
+const { signPayload } = require("../lib/webhookAuth");
+const { createMetrics } = require("../lib/metrics");
+const { logger } = require("../lib/logger");
+const { createTenantRegistry } = require("../lib/tenants");
+
+logger.setLevel(process.env.LOG_LEVEL || "silent");
+
+const WEBHOOK_SECRET = "test-webhook-secret";
+const ADMIN_JWT_SECRET = "test-admin-jwt-secret";
+// Sent as X-API-Key; one principal per role.
+const ADMIN_KEYS = {
+  viewer: "viewer-key",
+  support: "support-key",
+  finance: "finance-key",
+  monitor: "monitor-key",
+};
+
+const listen = (server) =>
+  new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve(`http://127.0.0.1:${server.address().port}`)
+    )
+  );
+
+// ── Test Harness ────────────────────────────────────────────
+// Boots the API on the memory backend against the mock GoPay, both on
+// ephemeral ports, so the suite runs offline and in parallel.
+async function startHarness({ env = {}, mock: mockOptions = {} } = {}) {
+  const gopayServer = http.createServer();
+  const gopayUrl = await listen(gopayServer);
+
+  const config = loadConfig({
+    SERVER_MODE: "localhost",
+    STORAGE_BACKEND: "memory",
+    API_BASE_URL: gopayUrl,
+    GOPAY_USERNAME: "test-user",
+    GOPAY_PASSWORD: "test-pass",
+    ENTITY_ACTIVITY_ID: "test-activity",
+    GOPAY_TIMEOUT_MS: "1000",
+    BILL_POLL_INITIAL_DELAY_MS: "10",
+    BILL_POLL_MAX_DELAY_MS: "20",
+    BILL_POLL_DEADLINE_MS: "100",
+    WEBHOOK_SECRET,
+    // Off unless a test turns them on; see rateLimit.test.js.
+    RATE_LIMIT_IP_MAX: "0",
+    RATE_LIMIT_CUSTOMER_MAX: "0",
+    RATE_LIMIT_STATUS_MAX: "0",
+    ADMIN_API_KEYS: Object.entries(ADMIN_KEYS)
+      .map(([role, key]) => `${role}-user:${role}:${key}`)
+      .join(","),
+    ADMIN_JWT_SECRET,
+    ...env,
+  });
+  const storage = createStorage(config.storage);
+  const metrics = createMetrics();
+  const tenants = createTenantRegistry({
+    storage,
+    merchants: config.merchants,
+    createClient: ({ baseUrl, username, password }) =>
+      createGoPayClient({
+        ...config.gopay,
+        baseUrl,
+        username,
+        password,
+        metrics,
+      }),
+  });
+  const app = createApp({ config, storage, tenants, metrics });
+  const apiServer = http.createServer(app);
+  const baseUrl = await listen(apiServer);
+
+  const mock = createMockGoPay({
+    username: "test-user",
+    password: "test-pass",
+    webhookTarget: baseUrl,
+    webhookSecret: WEBHOOK_SECRET,
+    logger: { error() {} },
+    ...mockOptions,
+  });
+  gopayServer.on("request", mock.app);
+
+  async function request(method, path, { body, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    const json = res.headers.get("content-type")?.includes("json");
+    return {
+      status: res.status,
+      headers: res.headers,
+      body: json ? JSON.parse(text) : text,
+    };
+  }
+
+  // Posts `body` with X-GoPay-* headers signed by `secret`.
+  function postSigned(
+    path,
+    body,
+    { secret = WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}
+  ) {
+    const rawBody = JSON.stringify(body);
+    return request("POST", path, {
+      body: rawBody,
+      headers: {
+        "X-GoPay-Timestamp": String(timestamp),
+        "X-GoPay-Signature": signPayload(secret, timestamp, rawBody),
+      },
+    });
+  }
+
+  function close() {
+    apiServer.close();
+    gopayServer.close();
+    apiServer.closeAllConnections();
+    gopayServer.closeAllConnections();
+  }
+
+  return { config, app, storage, tenants, mock, request, postSigned, close };
+}
+
+const cart = (overrides = {}) => ({
+  firstName: "Sara",
+  lastName: "Ali",
+  email: "sara@example.com",
+  phone: "0500000000",
+  items: [
+    { id: "sku-1", productName: "Coffee", quantity: 2, unitPrice: "10.00" },
+  ],
+  ...overrides,
+});
+
+module.exports = {
+  WEBHOOK_SECRET,
+  ADMIN_JWT_SECRET,
+  ADMIN_KEYS,
+  startHarness,
+  cart,
+};
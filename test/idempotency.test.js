@@ -0,0 +1,84 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, cart } = require("./helpers");
+
+const uploads = (h) =>
+  h.mock.calls.filter((c) => c.operation === "uploadBill").length;
+
+describe("create-invoice idempotency", () => {
+  let h;
+  beforeEach(async () => {
+    h = await startHarness();
+  });
+  afterEach(() => h.close());
+
+  const create = (key, body = cart()) =>
+    h.request("POST", "/api/create-invoice", {
+      body,
+      headers: { "Idempotency-Key": key },
+    });
+
+  it("replays a completed request without uploading again", async () => {
+    const first = await create("order-1");
+    const second = await create("order-1");
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get("idempotent-replayed"), "true");
+    assert.deepEqual(second.body, first.body);
+    assert.equal(uploads(h), 1);
+  });
+
+  it("refuses a key reused with a different payload", async () => {
+    await create("order-1");
+    const res = await create("order-1", cart({ email: "other@example.com" }));
+
+    assert.equal(res.status, 422);
+    assert.match(res.body.error, /different payload/);
+    assert.equal(uploads(h), 1);
+  });
+
+  it("answers 409 while the first request is still running", async () => {
+    h.close();
+    h = await startHarness({ mock: { latencyMs: 200 } });
+
+    const [a, b] = await Promise.all([create("order-1"), create("order-1")]);
+    const conflict = [a, b].find((r) => r.status === 409);
+
+    assert.ok(conflict);
+    assert.equal(conflict.headers.get("retry-after"), "1");
+    assert.equal(uploads(h), 1);
+  });
+
+  it("lets a retry reuse the billNumber after a failed upload", async () => {
+    h.mock.fail({ operation: "uploadBill", status: 500, times: 1 });
+    const failed = await create("order-1");
+    const retried = await create("order-1");
+
+    assert.equal(failed.status, 500);
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.status, "ready");
+    assert.equal(h.mock.bills.size, 1);
+  });
+
+  it("answers pending once uploaded, even if every bill lookup fails", async () => {
+    h.mock.fail({ operation: "getBillInfo", status: 502 });
+    const first = await create("order-1");
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.status, "pending");
+    assert.equal(
+      first.body.statusUrl,
+      `/api/invoice-status/${first.body.billNumber}`
+    );
+    assert.ok(await h.storage.invoices.get(first.body.billNumber));
+
+    // The retry is answered from the key, not by re-uploading the bill.
+    h.mock.clearFaults();
+    const retried = await create("order-1");
+    assert.equal(retried.status, 200);
+    assert.equal(retried.headers.get("idempotent-replayed"), "true");
+    assert.equal(retried.body.billNumber, first.body.billNumber);
+    assert.equal(uploads(h), 1);
+  });
+});
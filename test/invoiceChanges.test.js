@@ -0,0 +1,196 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, cart, ADMIN_KEYS } = require("./helpers");
+const { createExpirySweeper } = require("../lib/expirySweeper");
+
+const support = { "X-API-Key": ADMIN_KEYS.support };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("cancelling and updating outstanding invoices", () => {
+  let h;
+  let billNumber;
+  beforeEach(async () => {
+    h = await startHarness();
+    const created = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+    billNumber = created.body.billNumber;
+  });
+  afterEach(() => h.close());
+
+  it("cancels the bill on GoPay and records the reason", async () => {
+    const res = await h.request("POST", `/api/invoices/${billNumber}/cancel`, {
+      headers: support,
+      body: { reason: "duplicate order" },
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { billNumber, state: "cancelled" });
+    assert.equal(h.mock.bills.get(billNumber).billStatus, "CANCELLED");
+    const invoice = await h.storage.invoices.get(billNumber);
+    assert.equal(invoice.state, "cancelled");
+    assert.equal(invoice.cancelReason, "duplicate order");
+
+    const again = await h.request(
+      "POST",
+      `/api/invoices/${billNumber}/cancel`,
+      { headers: support }
+    );
+    assert.equal(again.status, 409);
+  });
+
+  it("refuses to cancel a bill GoPay already reports as paid", async () => {
+    await h.mock.pay(billNumber, { notify: false });
+
+    const res = await h.request("POST", `/api/invoices/${billNumber}/cancel`, {
+      headers: support,
+    });
+
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body, { error: "Bill is already paid on GoPay" });
+    assert.equal(h.mock.bills.get(billNumber).billStatus, "PAID");
+  });
+
+  it("moves the expireDate on GoPay and in the stored request", async () => {
+    const expireDate = new Date(Date.now() + 30 * DAY_MS)
+      .toISOString()
+      .split("T")[0];
+    const res = await h.request("PATCH", `/api/invoices/${billNumber}`, {
+      headers: support,
+      body: { expireDate },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.expireDate, expireDate);
+    assert.equal(h.mock.bills.get(billNumber).expireDate, expireDate);
+    const invoice = await h.storage.invoices.get(billNumber);
+    assert.equal(invoice.invoiceRequest.expireDate, expireDate);
+  });
+
+  it("refuses an expireDate in the past", async () => {
+    const res = await h.request("PATCH", `/api/invoices/${billNumber}`, {
+      headers: support,
+      body: { expireDate: "2020-01-01" },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.fields[0].field, "expireDate");
+    assert.equal(
+      h.mock.calls.filter((c) => c.operation === "updateBill").length,
+      0
+    );
+  });
+});
+
+describe("expiry sweeper", () => {
+  let h;
+  let published;
+  let billNumber;
+  let nextNumber;
+  // A month from now, when the week-long bill has lapsed.
+  const later = () => Date.now() + 30 * DAY_MS;
+
+  beforeEach(async () => {
+    h = await startHarness();
+    const created = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+    billNumber = created.body.billNumber;
+    published = [];
+    nextNumber = 0;
+  });
+  afterEach(() => h.close());
+
+  const sweeper = (options = {}) =>
+    createExpirySweeper({
+      tenant: h.tenants.default,
+      events: { publish: (type, data) => published.push({ type, data }) },
+      issuer: h.app.locals.issuer,
+      nextBillNumber: () => `REISSUE${(nextNumber += 1)}`,
+      intervalMs: 0,
+      now: later,
+      ...options,
+    });
+
+  it("expires lapsed invoices and leaves current ones", async () => {
+    const early = await sweeper({ now: Date.now }).sweepOnce();
+    assert.deepEqual(early.expired, []);
+
+    const result = await sweeper().sweepOnce();
+
+    assert.deepEqual(result.expired, [billNumber]);
+    assert.deepEqual(result.reissued, []);
+    assert.equal((await h.storage.invoices.get(billNumber)).state, "expired");
+    assert.deepEqual(published, [
+      {
+        type: "invoice.expired",
+        data: {
+          billNumber,
+          expireDate: h.mock.bills.get(billNumber).expireDate,
+        },
+      },
+    ]);
+  });
+
+  it("skips a bill GoPay reports as paid", async () => {
+    await h.mock.pay(billNumber, { notify: false });
+
+    const result = await sweeper().sweepOnce();
+
+    assert.deepEqual(result.skipped, [billNumber]);
+    assert.equal(
+      (await h.storage.invoices.get(billNumber)).state,
+      "awaiting-payment"
+    );
+  });
+
+  it("reissues through the checkout issuer", async () => {
+    const result = await sweeper({ reissue: true }).sweepOnce();
+
+    assert.deepEqual(result.reissued, ["REISSUE1"]);
+    const original = await h.storage.invoices.get(billNumber);
+    assert.equal(original.reissuedAs, "REISSUE1");
+
+    const reissued = await h.storage.invoices.get("REISSUE1");
+    assert.equal(reissued.reissuedFrom, billNumber);
+    assert.equal(reissued.state, "awaiting-payment");
+    assert.match(reissued.redirectUrl, /billNumber=REISSUE1$/);
+    assert.equal(reissued.totalAmount, "23.00");
+    assert.equal(h.mock.bills.get("REISSUE1").totalAmount, "23.00");
+    assert.deepEqual(
+      published.map((e) => [e.type, e.data.billNumber]),
+      [
+        ["invoice.expired", billNumber],
+        ["invoice.created", "REISSUE1"],
+      ]
+    );
+  });
+
+  it("retries a failed reissue on the next sweep under the same number", async () => {
+    h.mock.fail({ operation: "uploadBill", status: 500, times: 1 });
+    const first = await sweeper({ reissue: true }).sweepOnce();
+
+    assert.deepEqual(first.expired, [billNumber]);
+    assert.deepEqual(first.reissued, []);
+    const pending = await h.storage.invoices.get(billNumber);
+    assert.equal(pending.state, "expired");
+    assert.equal(pending.reissuePending, true);
+    assert.equal(pending.reissueBillNumber, "REISSUE1");
+
+    const second = await sweeper({ reissue: true }).sweepOnce();
+
+    assert.deepEqual(second.expired, []);
+    assert.deepEqual(second.reissued, ["REISSUE1"]);
+    const original = await h.storage.invoices.get(billNumber);
+    assert.equal(original.reissuedAs, "REISSUE1");
+    assert.equal(original.reissuePending, false);
+    assert.equal(
+      (await h.storage.invoices.get("REISSUE1")).reissuedFrom,
+      billNumber
+    );
+    assert.equal(nextNumber, 1);
+
+    const third = await sweeper({ reissue: true }).sweepOnce();
+    assert.deepEqual(third.reissued, []);
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, cart, ADMIN_KEYS } = require("./helpers");
+
+// A second merchant on the same mock GoPay, told apart by its activity.
+const MERCHANTS = JSON.stringify({
+  "seller-a": {
+    username: "test-user",
+    password: "test-pass",
+    entityActivityId: "seller-a-activity",
+  },
+});
+
+describe("multiple merchants", () => {
+  let h;
+  beforeEach(async () => {
+    h = await startHarness({ env: { MERCHANTS } });
+  });
+  afterEach(() => h.close());
+
+  const createFor = (merchantId) =>
+    h.request("POST", "/api/create-invoice", {
+      body: cart(),
+      headers: merchantId ? { "X-Merchant-Id": merchantId } : {},
+    });
+
+  it("bills a merchant with its own activity and keeps its data apart", async () => {
+    const res = await createFor("seller-a");
+    assert.equal(res.status, 200);
+    const { billNumber } = res.body;
+
+    const bill = h.mock.bills.get(billNumber);
+    assert.equal(bill.entityActivityId, "seller-a-activity");
+    const sellerA = h.tenants.get("seller-a").storage;
+    assert.equal(
+      (await sellerA.invoices.get(billNumber)).state,
+      "awaiting-payment"
+    );
+    assert.equal(await h.storage.invoices.get(billNumber), null);
+  });
+
+  it("falls back to the default merchant", async () => {
+    const res = await createFor(null);
+    assert.equal(res.status, 200);
+
+    const bill = h.mock.bills.get(res.body.billNumber);
+    assert.equal(bill.entityActivityId, "test-activity");
+    assert.ok(await h.storage.invoices.get(res.body.billNumber));
+  });
+
+  it("refuses an unknown merchant without calling GoPay", async () => {
+    const res = await createFor("nobody");
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.fields, [
+      { field: "merchantId", message: "unknown merchant" },
+    ]);
+    assert.equal(h.mock.calls.length, 0);
+  });
+
+  it("routes GoPay notifications to the merchant that issued the bill", async () => {
+    const { billNumber } = (await createFor("seller-a")).body;
+    const { delivery } = await h.mock.pay(billNumber);
+
+    assert.equal(delivery.status, 200);
+    const sellerA = h.tenants.get("seller-a").storage;
+    assert.equal(
+      (await sellerA.payments.get(billNumber)).paymentStatus,
+      "PAID"
+    );
+    assert.equal((await sellerA.invoices.get(billNumber)).state, "paid");
+    assert.equal(await h.storage.payments.get(billNumber), null);
+  });
+
+  it("refuses a billNumber another merchant already issued", async () => {
+    const issued = await h.request("POST", "/api/create-invoice", {
+      body: cart({ billNumber: "SHARED1" }),
+      headers: { "X-Merchant-Id": "seller-a" },
+    });
+    assert.equal(issued.status, 200);
+
+    const taken = await h.request("POST", "/api/create-invoice", {
+      body: cart({ billNumber: "SHARED1" }),
+    });
+
+    assert.equal(taken.status, 409);
+    assert.deepEqual(taken.body, {
+      error: "Bill SHARED1 belongs to another merchant",
+    });
+    assert.equal(
+      h.mock.calls.filter((c) => c.operation === "uploadBill").length,
+      1
+    );
+    assert.equal(
+      h.mock.bills.get("SHARED1").entityActivityId,
+      "seller-a-activity"
+    );
+    assert.equal((await h.tenants.forBill("SHARED1")).id, "seller-a");
+  });
+
+  it("refuses a pre-tenant default bill to another merchant", async () => {
+    await h.request("POST", "/api/create-invoice", {
+      body: cart({ billNumber: "LEGACY1" }),
+    });
+    await h.storage.db.collection("bill_merchants").doc("LEGACY1").delete();
+
+    const res = await h.request("POST", "/api/create-invoice", {
+      body: cart({ billNumber: "LEGACY1" }),
+      headers: { "X-Merchant-Id": "seller-a" },
+    });
+
+    assert.equal(res.status, 409);
+    assert.equal((await h.tenants.forBill("LEGACY1")).id, "default");
+  });
+
+  it("serves the admin API per merchant", async () => {
+    const { billNumber } = (await createFor("seller-a")).body;
+    const headers = { "X-API-Key": ADMIN_KEYS.viewer };
+
+    const own = await h.request("GET", `/api/invoices/${billNumber}`, {
+      headers: { ...headers, "X-Merchant-Id": "seller-a" },
+    });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.state, "awaiting-payment");
+    // Both merchants share the mock's bills; the stored invoice does not.
+    const other = await h.request("GET", `/api/invoices/${billNumber}`, {
+      headers,
+    });
+    assert.equal(other.body.invoice, null);
+    const unknown = await h.request(
+      "GET",
+      `/api/invoices/${billNumber}?merchantId=nobody`,
+      { headers }
+    );
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, "Unknown merchant");
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, cart, ADMIN_KEYS } = require("./helpers");
+const { createLogger } = require("../lib/logger");
+
+describe("request IDs", () => {
+  let h;
+  beforeEach(async () => {
+    h = await startHarness();
+  });
+  afterEach(() => h.close());
+
+  it("forwards the caller's X-Request-Id to GoPay and echoes it", async () => {
+    const res = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+      headers: { "X-Request-Id": "checkout-42" },
+    });
+
+    assert.equal(res.headers.get("x-request-id"), "checkout-42");
+    assert.ok(h.mock.calls.length >= 2);
+    for (const call of h.mock.calls)
+      assert.equal(call.requestId, "checkout-42");
+  });
+
+  it("generates an ID when none or a malformed one is sent", async () => {
+    const res = await h.request("GET", "/", {
+      headers: { "X-Request-Id": "bad id\twith spaces" },
+    });
+
+    assert.match(res.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  });
+});
+
+describe("GET /metrics", () => {
+  let h;
+  beforeEach(async () => {
+    h = await startHarness();
+  });
+  afterEach(() => h.close());
+
+  it("counts invoices, GoPay latency and webhook outcomes", async () => {
+    const created = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+    await h.request("POST", "/api/create-invoice", {
+      body: cart({ items: [] }),
+    });
+    await h.mock.pay(created.body.billNumber);
+    await h.postSigned(
+      "/api/payment-notification",
+      { billNumber: "X1", paymentStatus: "PAID" },
+      { secret: "forged" }
+    );
+
+    const res = await h.request("GET", "/metrics", {
+      headers: { "X-API-Key": ADMIN_KEYS.monitor },
+    });
+    assert.equal(res.status, 200);
+    const lines = res.body.split("\n");
+    const has = (line) => assert.ok(lines.includes(line), `missing ${line}`);
+    has('gopay_invoices_created_total{outcome="ready"} 1');
+    has('gopay_invoices_created_total{outcome="invalid"} 1');
+    has(
+      'gopay_request_duration_seconds_count{operation="uploadBill",status="200"} 1'
+    );
+    has(
+      'gopay_webhook_notifications_total{kind="payment",outcome="processed"} 1'
+    );
+    has('gopay_webhook_rejections_total{reason="bad_signature"} 1');
+    has(
+      'http_requests_total{method="POST",route="/api/create-invoice",status="400"} 1'
+    );
+    has('gopay_circuit_state{merchant="default"} 0');
+  });
+
+  it("is only served to principals with metrics:read", async () => {
+    const anonymous = await h.request("GET", "/metrics");
+    const viewer = await h.request("GET", "/metrics", {
+      headers: { "X-API-Key": ADMIN_KEYS.viewer },
+    });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(viewer.status, 403);
+  });
+});
+
+describe("structured logs", () => {
+  it("writes JSON lines with customer PII redacted", () => {
+    const lines = [];
+    const log = createLogger({ stream: { write: (l) => lines.push(l) } });
+    const err = Object.assign(new Error("GoPay uploadBill failed"), {
+      status: 400,
+      data: {
+        customerFullName: "Sara Ali",
+        customerEmailAddress: "sara@example.com",
+        customerMobileNumber: "0501234567",
+      },
+    });
+    log.error("create-invoice failed", err);
+    log.debug("not written at info level");
+
+    assert.equal(lines.length, 1);
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.level, "error");
+    assert.equal(entry.msg, "create-invoice failed");
+    assert.equal(entry.err.status, 400);
+    assert.deepEqual(entry.err.data, {
+      customerFullName: "[redacted]",
+      customerEmailAddress: "***@example.com",
+      customerMobileNumber: "***67",
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const http = require("http");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, cart, ADMIN_KEYS } = require("./helpers");
+const { signPayload } = require("../lib/webhookAuth");
+
+const support = { "X-API-Key": ADMIN_KEYS.support };
+
+// Waits until `check` returns something truthy, and returns it.
+async function eventually(check) {
+  for (let i = 0; i < 100; i += 1) {
+    const value = await check();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error("condition never held");
+}
+
+// A merchant endpoint that records each delivery and answers with the
+// next of `statuses` (the last one repeats).
+async function startReceiver() {
+  const received = [];
+  let statuses = [200];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.length > 1 ? statuses.shift() : statuses[0];
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    received,
+    answer: (...next) => (statuses = next),
+    close: () => {
+      server.close();
+      server.closeAllConnections();
+    },
+  };
+}
+
+describe("outbound merchant webhooks", () => {
+  let h;
+  let receiver;
+  let subscription;
+  beforeEach(async () => {
+    h = await startHarness({
+      env: {
+        OUTBOUND_WEBHOOK_MAX_ATTEMPTS: "3",
+        OUTBOUND_WEBHOOK_BASE_DELAY_MS: "1",
+      },
+    });
+    receiver = await startReceiver();
+    const res = await h.request("POST", "/api/webhooks/subscriptions", {
+      headers: support,
+      body: { url: receiver.url, events: ["invoice.created"] },
+    });
+    subscription = res.body;
+  });
+  afterEach(() => {
+    h.close();
+    receiver.close();
+  });
+
+  const createInvoice = () =>
+    h.request("POST", "/api/create-invoice", { body: cart() });
+  const deadLetters = async () =>
+    (
+      await h.request("GET", "/api/webhooks/dead-letters", {
+        headers: support,
+      })
+    ).body.deadLetters;
+  // An empty list is truthy, so wait for at least one letter.
+  const deadLettered = () =>
+    eventually(async () => {
+      const letters = await deadLetters();
+      return letters.length > 0 && letters;
+    });
+
+  it("needs credentials with webhooks:write to subscribe", async () => {
+    const body = { url: receiver.url, events: ["invoice.created"] };
+    const anonymous = await h.request("POST", "/api/webhooks/subscriptions", {
+      body,
+    });
+    const viewer = await h.request("POST", "/api/webhooks/subscriptions", {
+      headers: { "X-API-Key": ADMIN_KEYS.viewer },
+      body,
+    });
+    const list = await h.request("GET", "/api/webhooks/subscriptions");
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(viewer.status, 403);
+    assert.equal(list.status, 401);
+  });
+
+  it("signs each delivery with the subscription's secret", async () => {
+    const { billNumber } = (await createInvoice()).body;
+    await eventually(() => receiver.received.length);
+    const [delivery] = receiver.received;
+
+    const timestamp = delivery.headers["x-webhook-timestamp"];
+    assert.equal(delivery.headers["x-webhook-event"], "invoice.created");
+    assert.equal(
+      delivery.headers["x-webhook-signature"],
+      signPayload(subscription.secret, timestamp, delivery.body)
+    );
+    const event = JSON.parse(delivery.body);
+    assert.equal(event.type, "invoice.created");
+    assert.equal(event.data.billNumber, billNumber);
+    assert.equal(event.data.merchantId, "default");
+  });
+
+  it("retries a failed delivery until it goes through", async () => {
+    receiver.answer(500, 503, 200);
+
+    await createInvoice();
+    await eventually(() => receiver.received.length === 3);
+
+    const ids = receiver.received.map((d) => JSON.parse(d.body).id);
+    assert.equal(new Set(ids).size, 1);
+    assert.deepEqual(await deadLetters(), []);
+  });
+
+  it("dead-letters a delivery after the last attempt and replays it", async () => {
+    receiver.answer(500);
+
+    await createInvoice();
+    const [letter] = await deadLettered();
+    assert.equal(receiver.received.length, 3);
+    assert.equal(letter.subscriptionId, subscription.id);
+    assert.equal(letter.attempts, 3);
+    assert.equal(letter.lastError, "HTTP 500");
+    assert.equal(letter.event.type, "invoice.created");
+
+    receiver.answer(200);
+    const replay = await h.request(
+      "POST",
+      `/api/webhooks/dead-letters/${letter.id}/replay`,
+      { headers: support }
+    );
+    assert.equal(replay.status, 200);
+    assert.deepEqual(replay.body, {
+      delivered: true,
+      attempts: 1,
+      error: null,
+    });
+    assert.equal(JSON.parse(receiver.received[3].body).id, letter.event.id);
+    assert.deepEqual(await deadLetters(), []);
+  });
+
+  it("answers 502 when a replay fails again", async () => {
+    receiver.answer(500);
+    await createInvoice();
+    const [letter] = await deadLettered();
+
+    const replay = await h.request(
+      "POST",
+      `/api/webhooks/dead-letters/${letter.id}/replay`,
+      { headers: support }
+    );
+
+    assert.equal(replay.status, 502);
+    assert.equal(replay.body.delivered, false);
+    const [still] = await deadLetters();
+    assert.equal(still.attempts, 6);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, cart } = require("./helpers");
+
+const create = (h, body = cart()) =>
+  h.request("POST", "/api/create-invoice", { body });
+
+describe("create-invoice abuse protection", () => {
+  let h;
+  afterEach(() => h.close());
+
+  it("limits requests per IP and says when to retry", async () => {
+    h = await startHarness({ env: { RATE_LIMIT_IP_MAX: "2" } });
+
+    assert.equal((await create(h)).status, 200);
+    assert.equal((await create(h)).status, 200);
+    const res = await create(h);
+
+    assert.equal(res.status, 429);
+    assert.deepEqual(res.body, { error: "Too many requests" });
+    const retryAfter = Number(res.headers.get("retry-after"));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60);
+    assert.equal(h.mock.bills.size, 2);
+  });
+
+  it("limits requests per customer email and phone", async () => {
+    h = await startHarness({ env: { RATE_LIMIT_CUSTOMER_MAX: "1" } });
+
+    assert.equal((await create(h)).status, 200);
+    // Same email, however it is written.
+    const sameEmail = await create(
+      h,
+      cart({ email: " SARA@example.com", phone: "0511111111" })
+    );
+    assert.equal(sameEmail.status, 429);
+    const samePhone = await create(
+      h,
+      cart({ email: "other@example.com", phone: "050 000 0000" })
+    );
+    assert.equal(samePhone.status, 429);
+    const someoneElse = await create(
+      h,
+      cart({ email: "third@example.com", phone: "0522222222" })
+    );
+    assert.equal(someoneElse.status, 200);
+  });
+
+  it("answers invoice-status with 404 for bills it never stored", async () => {
+    h = await startHarness();
+
+    const res = await h.request("GET", "/api/invoice-status/NOPE123");
+
+    assert.equal(res.status, 404);
+    assert.deepEqual(res.body, { error: "Unknown bill" });
+    assert.equal(h.mock.calls.length, 0);
+  });
+
+  it("limits invoice-status polls per IP apart from creation", async () => {
+    h = await startHarness({
+      env: { RATE_LIMIT_STATUS_MAX: "2", RATE_LIMIT_IP_MAX: "1" },
+    });
+    const { billNumber } = (await create(h)).body;
+    const poll = () => h.request("GET", `/api/invoice-status/${billNumber}`);
+
+    assert.equal((await poll()).status, 200);
+    assert.equal((await poll()).status, 200);
+    const res = await poll();
+
+    assert.equal(res.status, 429);
+    assert.ok(res.headers.get("retry-after"));
+  });
+
+  it("answers 429 when the upload queue is full", async () => {
+    h = await startHarness({
+      env: { GOPAY_UPLOAD_CONCURRENCY: "1", GOPAY_UPLOAD_QUEUE_MAX: "0" },
+      mock: { latencyMs: 200 },
+    });
+
+    const results = await Promise.all([create(h), create(h)]);
+    const statuses = results.map((r) => r.status).sort();
+
+    assert.deepEqual(statuses, [200, 429]);
+    const refused = results.find((r) => r.status === 429);
+    assert.ok(refused.headers.get("retry-after"));
+    assert.match(refused.body.error, /Too many invoices in progress/);
+  });
+
+  it("queues uploads beyond the cap", async () => {
+    h = await startHarness({
+      env: { GOPAY_UPLOAD_CONCURRENCY: "1", GOPAY_UPLOAD_QUEUE_MAX: "5" },
+      mock: { latencyMs: 50 },
+    });
+
+    const results = await Promise.all([create(h), create(h), create(h)]);
+
+    assert.deepEqual(
+      results.map((r) => r.status),
+      [200, 200, 200]
+    );
+    assert.equal(h.mock.bills.size, 3);
+  });
+});
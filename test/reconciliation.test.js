@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, ADMIN_KEYS } = require("./helpers");
+
+const finance = { "X-API-Key": ADMIN_KEYS.finance };
+
+// One month of payments and settlements, each bill a different case.
+async function seed(h) {
+  const paid = (billNumber, paymentDate, paymentAmount = "23.00") =>
+    h.storage.payments.upsert(billNumber, {
+      paymentStatus: "PAID",
+      paymentAmount,
+      paymentDate,
+    });
+  const settled = (billNumber, paymentDate, paymentAmount = "23.00") =>
+    h.storage.settlements.upsert(billNumber, {
+      settlementStatus: "SETTLED",
+      paymentAmount,
+      paymentDate,
+      bankId: "RJHI",
+    });
+
+  // Paid in December, settled in January.
+  await paid("DEC", "2025-12-31T20:00:00.000Z");
+  await settled("DEC", "2026-01-02T08:00:00.000Z");
+  // Paid on the last day of January, settled in February.
+  await paid("LATE", "2026-01-31T20:00:00.000Z");
+  await settled("LATE", "2026-02-02T08:00:00.000Z");
+  await paid("UNSETTLED", "2026-01-05T10:00:00.000Z");
+  await paid("SHORT", "2026-01-06T10:00:00.000Z");
+  await settled("SHORT", "2026-01-07T10:00:00.000Z", "22.00");
+  await settled("ORPHAN", "2026-01-10T10:00:00.000Z");
+}
+
+describe("GET /api/reports/reconciliation", () => {
+  let h;
+  beforeEach(async () => {
+    h = await startHarness();
+    await seed(h);
+  });
+  afterEach(() => h.close());
+
+  const report = async (from, to) => {
+    const res = await h.request(
+      "GET",
+      `/api/reports/reconciliation?from=${from}&to=${to}`,
+      { headers: finance }
+    );
+    assert.equal(res.status, 200);
+    return Object.fromEntries(res.body.rows.map((r) => [r.billNumber, r]));
+  };
+
+  it("joins payments in the range with settlements from any date", async () => {
+    const rows = await report("2026-01-01", "2026-02-01");
+
+    assert.deepEqual(Object.keys(rows), [
+      "LATE",
+      "ORPHAN",
+      "SHORT",
+      "UNSETTLED",
+    ]);
+    assert.deepEqual(rows.LATE.issues, []);
+    assert.equal(rows.LATE.settlementDate, "2026-02-02T08:00:00.000Z");
+    assert.deepEqual(rows.UNSETTLED.issues, ["paid_unsettled"]);
+    assert.deepEqual(rows.SHORT.issues, ["amount_mismatch"]);
+    assert.deepEqual(rows.ORPHAN.issues, ["settlement_without_payment"]);
+  });
+
+  it("leaves a settlement to the range its payment falls in", async () => {
+    const january = await report("2026-01-01", "2026-02-01");
+    const february = await report("2026-02-01", "2026-03-01");
+
+    assert.equal(january.DEC, undefined);
+    assert.deepEqual(Object.keys(february), []);
+  });
+
+  it("exports the rows as CSV", async () => {
+    const res = await h.request(
+      "GET",
+      "/api/reports/reconciliation?from=2026-01-01&to=2026-02-01&format=csv",
+      { headers: finance }
+    );
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/csv/);
+    assert.match(
+      res.headers.get("content-disposition"),
+      /^attachment; filename="reconciliation-\d{4}-\d{2}-\d{2}\.csv"$/
+    );
+    assert.deepEqual(res.body.split("\r\n"), [
+      "billNumber,paymentStatus,paidAmount,paymentDate,settlementStatus,settledAmount,settlementDate,bankId,issues",
+      "LATE,PAID,23.00,2026-01-31T20:00:00.000Z,SETTLED,23.00,2026-02-02T08:00:00.000Z,RJHI,",
+      "ORPHAN,,,,SETTLED,23.00,2026-01-10T10:00:00.000Z,RJHI,settlement_without_payment",
+      "SHORT,PAID,23.00,2026-01-06T10:00:00.000Z,SETTLED,22.00,2026-01-07T10:00:00.000Z,RJHI,amount_mismatch",
+      "UNSETTLED,PAID,23.00,2026-01-05T10:00:00.000Z,,,,,paid_unsettled",
+      "",
+    ]);
+  });
+
+  it("flags a settlement from a bank that is not configured", async () => {
+    h.close();
+    h = await startHarness({ env: { KNOWN_BANK_IDS: "NCBK,RJHI" } });
+    await seed(h);
+    await h.storage.payments.upsert("ELSEWHERE", {
+      paymentStatus: "PAID",
+      paymentAmount: "23.00",
+      paymentDate: "2026-01-08T10:00:00.000Z",
+    });
+    await h.storage.settlements.upsert("ELSEWHERE", {
+      settlementStatus: "SETTLED",
+      paymentAmount: "23.00",
+      paymentDate: "2026-01-09T10:00:00.000Z",
+      bankId: "OTHR",
+    });
+
+    const rows = await report("2026-01-01", "2026-02-01");
+
+    assert.deepEqual(rows.ELSEWHERE.issues, ["unknown_bank"]);
+    assert.equal(rows.ELSEWHERE.bankId, "OTHR");
+    assert.deepEqual(rows.LATE.issues, []);
+  });
+
+  it("refuses a malformed range", async () => {
+    const res = await h.request(
+      "GET",
+      "/api/reports/reconciliation?from=January",
+      { headers: finance }
+    );
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.fields, [
+      { field: "from", message: "must be an ISO date (YYYY-MM-DD)" },
+    ]);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRefundService, RefundError } = require("../lib/refunds");
+const { createMemoryDb } = require("../lib/storage/memoryDb");
+
+describe("refund service", () => {
+  let db;
+  let gopay;
+  let refunds;
+  beforeEach(async () => {
+    db = createMemoryDb();
+    gopay = {
+      calls: [],
+      fail: null,
+      async refundBill(body) {
+        this.calls.push(body);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        if (this.fail) throw this.fail;
+        return { status: "REFUNDED" };
+      },
+    };
+    refunds = createRefundService({ db, gopay });
+    await db
+      .collection("payments")
+      .doc("B1")
+      .set({ paymentStatus: "PAID", paymentAmount: "23.00" });
+  });
+
+  const payment = async () =>
+    (await db.collection("payments").doc("B1").get()).data();
+
+  it("refunds part of a payment, then the rest", async () => {
+    const part = await refunds.refund("B1", {
+      amountMinor: 500,
+      reason: "broken mug",
+    });
+    assert.equal(part.amount, "5.00");
+    assert.equal(part.refundedAmount, "5.00");
+    assert.equal(part.refundStatus, "partially-refunded");
+    assert.equal(gopay.calls[0].amount, "5.00");
+    assert.equal(gopay.calls[0].refundReference, part.refundId);
+
+    const rest = await refunds.refund("B1");
+    assert.equal(rest.amount, "18.00");
+    assert.equal(rest.refundedAmount, "23.00");
+    assert.equal(rest.refundStatus, "refunded");
+
+    const stored = await payment();
+    assert.equal(stored.refundedMinor, 2300);
+    assert.equal(stored.pendingRefundMinor, 0);
+    const listed = await refunds.list("B1");
+    assert.deepEqual(
+      listed.map((r) => r.status),
+      ["completed", "completed"]
+    );
+  });
+
+  it("refuses more than is still refundable without calling GoPay", async () => {
+    await refunds.refund("B1", { amountMinor: 2000 });
+    await assert.rejects(refunds.refund("B1", { amountMinor: 301 }), {
+      name: "RefundError",
+      status: 422,
+      message: "Refund exceeds refundable amount 3.00",
+    });
+    assert.equal(gopay.calls.length, 1);
+  });
+
+  it("refuses unknown and unpaid bills", async () => {
+    await db
+      .collection("payments")
+      .doc("B2")
+      .set({ paymentStatus: "PENDING", paymentAmount: "10.00" });
+
+    await assert.rejects(refunds.refund("NOPE"), { status: 404 });
+    await assert.rejects(refunds.refund("B2"), (err) => {
+      assert.ok(err instanceof RefundError);
+      assert.equal(err.status, 409);
+      return true;
+    });
+    assert.equal(gopay.calls.length, 0);
+  });
+
+  it("releases the reservation when GoPay refuses the refund", async () => {
+    gopay.fail = Object.assign(new Error("GoPay said no"), {
+      data: { code: "REFUND_REJECTED" },
+    });
+    await assert.rejects(refunds.refund("B1"), /GoPay said no/);
+
+    const stored = await payment();
+    assert.equal(stored.pendingRefundMinor, 0);
+    assert.equal(stored.refundedMinor, undefined);
+    const [failed] = await refunds.list("B1");
+    assert.equal(failed.status, "failed");
+    assert.deepEqual(failed.error, { code: "REFUND_REJECTED" });
+
+    gopay.fail = null;
+    const retried = await refunds.refund("B1");
+    assert.equal(retried.refundedAmount, "23.00");
+  });
+
+  it("never refunds more than was paid under concurrent requests", async () => {
+    const results = await Promise.allSettled(
+      [1500, 1500, 1500].map((amountMinor) =>
+        refunds.refund("B1", { amountMinor })
+      )
+    );
+
+    const done = results.filter((r) => r.status === "fulfilled");
+    const refused = results.filter((r) => r.status === "rejected");
+    assert.equal(done.length, 1);
+    assert.ok(refused.every((r) => r.reason.status === 422));
+    assert.equal(gopay.calls.length, 1);
+    assert.equal((await payment()).refundedMinor, 1500);
+  });
+});
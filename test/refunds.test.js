@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, cart, ADMIN_KEYS } = require("./helpers");
+
+const finance = { "X-API-Key": ADMIN_KEYS.finance };
+
+describe("POST /api/invoices/:billNumber/refunds", () => {
+  let h;
+  let billNumber;
+  beforeEach(async () => {
+    h = await startHarness();
+    const created = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+    billNumber = created.body.billNumber;
+    await h.mock.pay(billNumber);
+  });
+  afterEach(() => h.close());
+
+  const refund = (body) =>
+    h.request("POST", `/api/invoices/${billNumber}/refunds`, {
+      headers: finance,
+      body,
+    });
+  const gopayRefunds = () =>
+    h.mock.calls.filter((c) => c.operation === "refundBill").length;
+
+  it("needs credentials with refunds:write", async () => {
+    const anonymous = await h.request(
+      "POST",
+      `/api/invoices/${billNumber}/refunds`,
+      { body: {} }
+    );
+    const support = await h.request(
+      "POST",
+      `/api/invoices/${billNumber}/refunds`,
+      { headers: { "X-API-Key": ADMIN_KEYS.support }, body: {} }
+    );
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(support.status, 403);
+    assert.equal(gopayRefunds(), 0);
+  });
+
+  it("refunds part of a payment, then the rest", async () => {
+    const part = await refund({ amount: "5.00", reason: "broken mug" });
+
+    assert.equal(part.status, 201);
+    assert.equal(part.body.amount, "5.00");
+    assert.equal(part.body.refundedAmount, "5.00");
+    assert.equal(part.body.refundStatus, "partially-refunded");
+    assert.equal(h.mock.bills.get(billNumber).billStatus, "PARTIALLY_REFUNDED");
+
+    const rest = await refund({});
+    assert.equal(rest.status, 201);
+    assert.equal(rest.body.amount, "18.00");
+    assert.equal(rest.body.refundedAmount, "23.00");
+    assert.equal(rest.body.refundStatus, "refunded");
+    assert.equal(h.mock.bills.get(billNumber).billStatus, "REFUNDED");
+
+    const list = await h.request("GET", `/api/invoices/${billNumber}/refunds`, {
+      headers: finance,
+    });
+    assert.deepEqual(
+      list.body.refunds.map((r) => [r.amount, r.status]).sort(),
+      [
+        ["18.00", "completed"],
+        ["5.00", "completed"],
+      ]
+    );
+  });
+
+  it("refuses more than is still refundable", async () => {
+    const res = await refund({ amount: "23.01" });
+
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body, {
+      error: "Refund exceeds refundable amount 23.00",
+    });
+    assert.equal(gopayRefunds(), 0);
+
+    await refund({ amount: "20.00" });
+    const tooMuch = await refund({ amount: "3.01" });
+    assert.equal(tooMuch.status, 422);
+    assert.deepEqual(tooMuch.body, {
+      error: "Refund exceeds refundable amount 3.00",
+    });
+  });
+
+  it("refuses a bill with no recorded payment", async () => {
+    const unpaid = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+
+    const res = await h.request(
+      "POST",
+      `/api/invoices/${unpaid.body.billNumber}/refunds`,
+      { headers: finance, body: {} }
+    );
+
+    assert.equal(res.status, 404);
+    assert.deepEqual(res.body, { error: "No payment recorded" });
+  });
+
+  it("never refunds more than was paid under concurrent requests", async () => {
+    const results = await Promise.all([
+      refund({ amount: "10.00" }),
+      refund({ amount: "10.00" }),
+      refund({ amount: "10.00" }),
+    ]);
+
+    assert.deepEqual(results.map((r) => r.status).sort(), [201, 201, 422]);
+    assert.equal(gopayRefunds(), 2);
+    assert.equal(h.mock.bills.get(billNumber).refundedAmount, "20.00");
+    const payment = await h.storage.payments.get(billNumber);
+    assert.equal(payment.refundedMinor, 2000);
+    assert.equal(payment.pendingRefundMinor, 0);
+  });
+
+  it("releases the reservation when GoPay refuses", async () => {
+    h.mock.fail({
+      operation: "refundBill",
+      status: 400,
+      body: { status: 400, message: "Refund window closed" },
+      times: 1,
+    });
+
+    const failed = await refund({ amount: "5.00" });
+    assert.equal(failed.status, 400);
+
+    const retried = await refund({});
+    assert.equal(retried.status, 201);
+    assert.equal(retried.body.amount, "23.00");
+  });
+});
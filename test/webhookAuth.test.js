@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { createWebhookVerifier, signPayload } = require("../lib/webhookAuth");
+
+const SECRET = "test-webhook-secret";
+const quiet = { warn() {} };
+
+describe("webhook verifier", () => {
+  let server;
+  let url;
+  let verifier;
+  let reached;
+
+  async function listen(options) {
+    verifier = createWebhookVerifier({
+      secret: SECRET,
+      logger: quiet,
+      ...options,
+    });
+    const app = express();
+    app.use(
+      express.json({
+        verify: (req, _res, buf) => {
+          req.rawBody = buf.toString("utf8");
+        },
+      })
+    );
+    app.post("/hook", verifier.middleware, (req, res) => {
+      reached.push(req.body);
+      res.json({ ok: true });
+    });
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  }
+
+  beforeEach(() => {
+    reached = [];
+  });
+  afterEach(() => server.close());
+
+  const send = (body, { secret = SECRET, timestamp, signature } = {}) => {
+    const raw = JSON.stringify(body);
+    const ts = timestamp ?? String(Math.floor(Date.now() / 1000));
+    return fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-GoPay-Timestamp": ts,
+        "X-GoPay-Signature": signature ?? signPayload(secret, ts, raw),
+      },
+      body: raw,
+    });
+  };
+
+  it("lets a correctly signed payload through", async () => {
+    await listen();
+    const res = await send({ billNumber: "B1" });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(reached, [{ billNumber: "B1" }]);
+  });
+
+  it("accepts a sha256= prefix on the signature", async () => {
+    await listen();
+    const ts = String(Math.floor(Date.now() / 1000));
+    const signature = `sha256=${signPayload(SECRET, ts, '{"a":1}')}`;
+    const res = await send({ a: 1 }, { timestamp: ts, signature });
+
+    assert.equal(res.status, 200);
+  });
+
+  it("refuses a payload signed with another secret", async () => {
+    await listen();
+    const res = await send({ billNumber: "B1" }, { secret: "forged" });
+
+    assert.equal(res.status, 401);
+    assert.deepEqual(await res.json(), { error: "Unauthorized webhook" });
+    assert.equal(reached.length, 0);
+    assert.deepEqual(verifier.stats(), { bad_signature: 1 });
+  });
+
+  it("refuses a body changed after signing", async () => {
+    await listen();
+    const ts = String(Math.floor(Date.now() / 1000));
+    const signature = signPayload(SECRET, ts, '{"amount":"1.00"}');
+    const res = await send({ amount: "100.00" }, { timestamp: ts, signature });
+
+    assert.equal(res.status, 401);
+    assert.equal(reached.length, 0);
+  });
+
+  it("refuses unsigned and stale payloads", async () => {
+    await listen();
+    const unsigned = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{}",
+    });
+    const stale = await send(
+      { billNumber: "B1" },
+      { timestamp: String(Math.floor(Date.now() / 1000) - 3600) }
+    );
+
+    assert.equal(unsigned.status, 401);
+    assert.equal(stale.status, 401);
+    assert.equal(reached.length, 0);
+    assert.deepEqual(verifier.stats(), {
+      missing_signature: 1,
+      stale_timestamp: 1,
+    });
+  });
+
+  it("refuses a source IP outside the allow-list", async () => {
+    await listen({ allowedIps: ["203.0.113.7"] });
+    const res = await send({ billNumber: "B1" });
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(verifier.stats(), { ip_not_allowed: 1 });
+  });
+});
@@ -0,0 +1,298 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, cart, ADMIN_KEYS } = require("./helpers");
+
+async function createInvoice(h) {
+  const res = await h.request("POST", "/api/create-invoice", { body: cart() });
+  assert.equal(res.status, 200);
+  return res.body.billNumber;
+}
+
+describe("POST /api/payment-notification", () => {
+  let h;
+  beforeEach(async () => {
+    h = await startHarness();
+  });
+  afterEach(() => h.close());
+
+  it("records a signed payment and marks the invoice paid", async () => {
+    const billNumber = await createInvoice(h);
+    const { delivery } = await h.mock.pay(billNumber);
+
+    assert.deepEqual(delivery, {
+      status: 200,
+      body: { status: 200, message: "Operation Done" },
+    });
+    const payment = await h.storage.payments.get(billNumber);
+    assert.equal(payment.paymentStatus, "PAID");
+    assert.equal(payment.paymentAmount, 23);
+    const invoice = await h.storage.invoices.get(billNumber);
+    assert.equal(invoice.state, "paid");
+  });
+
+  it("records a payment for an invoice still pending its pay page", async () => {
+    h.mock.fail({
+      operation: "getBillInfo",
+      status: 200,
+      body: { status: 200, message: "Operation Done", data: { qr: null } },
+    });
+    const res = await h.request("POST", "/api/create-invoice", {
+      body: cart(),
+    });
+    assert.equal(res.body.status, "pending");
+    h.mock.clearFaults();
+
+    const { delivery } = await h.mock.pay(res.body.billNumber);
+
+    assert.equal(delivery.body.message, "Operation Done");
+    const payment = await h.storage.payments.get(res.body.billNumber);
+    assert.equal(payment.paymentStatus, "PAID");
+    const invoice = await h.storage.invoices.get(res.body.billNumber);
+    assert.equal(invoice.state, "paid");
+    assert.deepEqual(
+      invoice.history.map((entry) => entry.to),
+      ["created", "paid"]
+    );
+  });
+
+  it("rejects a forged signature and persists nothing", async () => {
+    const billNumber = await createInvoice(h);
+    const res = await h.postSigned(
+      "/api/payment-notification",
+      { billNumber, paymentStatus: "PAID", paymentAmount: "23.00" },
+      { secret: "not-the-secret" }
+    );
+
+    assert.equal(res.status, 401);
+    assert.equal(await h.storage.payments.get(billNumber), null);
+    assert.equal(
+      (await h.storage.invoices.get(billNumber)).state,
+      "awaiting-payment"
+    );
+  });
+
+  it("rejects an unsigned notification", async () => {
+    const res = await h.request("POST", "/api/payment-notification", {
+      body: { billNumber: "X1", paymentStatus: "PAID" },
+    });
+
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects a signature outside the timestamp tolerance", async () => {
+    const billNumber = await createInvoice(h);
+    const res = await h.postSigned(
+      "/api/payment-notification",
+      { billNumber, paymentStatus: "PAID", paymentAmount: "23.00" },
+      { timestamp: Math.floor(Date.now() / 1000) - 3600 }
+    );
+
+    assert.equal(res.status, 401);
+    assert.equal(await h.storage.payments.get(billNumber), null);
+  });
+
+  it("answers 400 when required fields are missing", async () => {
+    const res = await h.postSigned("/api/payment-notification", {
+      paymentAmount: "23.00",
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body, { error: "Missing fields" });
+  });
+
+  it("flags an underpayment instead of marking the invoice paid", async () => {
+    const billNumber = await createInvoice(h);
+    const { delivery } = await h.mock.pay(billNumber, { amount: "10.00" });
+
+    assert.equal(delivery.body.message, "Flagged for review");
+    assert.equal(await h.storage.payments.get(billNumber), null);
+    assert.equal(
+      (await h.storage.invoices.get(billNumber)).state,
+      "awaiting-payment"
+    );
+  });
+
+  it("flags an amount that is not exact to the halala", async () => {
+    const billNumber = await createInvoice(h);
+    const { delivery } = await h.mock.pay(billNumber, { amount: "23.004" });
+
+    assert.equal(delivery.body.message, "Flagged for review");
+    assert.equal(await h.storage.payments.get(billNumber), null);
+  });
+
+  it("answers an identical resend from the log", async () => {
+    const billNumber = await createInvoice(h);
+    await h.mock.pay(billNumber, { notify: false });
+    const notification = {
+      billNumber,
+      paymentStatus: "PAID",
+      paymentAmount: "23.00",
+      paymentDate: "2026-01-01T10:00:00Z",
+    };
+    const timestamp = Math.floor(Date.now() / 1000);
+    const first = await h.postSigned(
+      "/api/payment-notification",
+      notification,
+      {
+        timestamp,
+      }
+    );
+    const replay = await h.postSigned(
+      "/api/payment-notification",
+      notification,
+      {
+        timestamp,
+      }
+    );
+    const resend = await h.postSigned(
+      "/api/payment-notification",
+      notification,
+      {
+        timestamp: timestamp - 1,
+      }
+    );
+
+    assert.equal(first.body.message, "Operation Done");
+    // GoPay re-sending a delivery whose answer it lost gets a 200.
+    assert.deepEqual(replay.body, {
+      status: 200,
+      message: "Duplicate notification",
+    });
+    assert.deepEqual(resend.body, {
+      status: 200,
+      message: "Duplicate notification",
+    });
+  });
+
+  describe("stored notifications", () => {
+    const support = { "X-API-Key": ADMIN_KEYS.support };
+    const notificationFor = (billNumber) => ({
+      billNumber,
+      paymentStatus: "PAID",
+      paymentAmount: "23.00",
+      paymentDate: "2026-01-01T10:00:00Z",
+    });
+    const logEntry = async (status) => {
+      const res = await h.request(
+        "GET",
+        `/api/notifications?status=${status}`,
+        { headers: support }
+      );
+      assert.equal(res.body.notifications.length, 1);
+      return res.body.notifications[0];
+    };
+    const reprocess = (id) =>
+      h.request("POST", `/api/notifications/${id}/reprocess`, {
+        headers: support,
+      });
+
+    it("reprocesses a notification that could not be verified", async () => {
+      const billNumber = await createInvoice(h);
+      await h.mock.pay(billNumber, { notify: false });
+      h.mock.fail({ operation: "getBillInfo", status: 502 });
+
+      const first = await h.postSigned(
+        "/api/payment-notification",
+        notificationFor(billNumber)
+      );
+      assert.equal(first.status, 502);
+      assert.equal(await h.storage.payments.get(billNumber), null);
+      const failed = await logEntry("failed");
+      assert.equal(failed.httpStatus, 502);
+
+      h.mock.clearFaults();
+      const res = await reprocess(failed.id);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, {
+        id: failed.id,
+        outcome: "processed",
+        httpStatus: 200,
+        response: { status: 200, message: "Operation Done" },
+        error: null,
+      });
+      const payment = await h.storage.payments.get(billNumber);
+      assert.equal(payment.paymentStatus, "PAID");
+      assert.equal((await h.storage.invoices.get(billNumber)).state, "paid");
+      const processed = await logEntry("processed");
+      assert.equal(processed.id, failed.id);
+    });
+
+    it("keeps the raw body when processing throws", async () => {
+      const billNumber = await createInvoice(h);
+      await h.mock.pay(billNumber, { notify: false });
+      const { upsert } = h.storage.payments;
+      h.storage.payments.upsert = async () => {
+        throw new Error("storage unavailable");
+      };
+      const notification = notificationFor(billNumber);
+
+      const first = await h.postSigned(
+        "/api/payment-notification",
+        notification
+      );
+      assert.equal(first.status, 500);
+      const failed = await logEntry("failed");
+      assert.equal(failed.rawBody, JSON.stringify(notification));
+      assert.deepEqual(failed.body, notification);
+      assert.equal(failed.error, "storage unavailable");
+
+      h.storage.payments.upsert = upsert;
+      const res = await reprocess(failed.id);
+
+      assert.equal(res.body.outcome, "processed");
+      assert.equal(
+        (await h.storage.payments.get(billNumber)).paymentStatus,
+        "PAID"
+      );
+    });
+
+    it("answers 404 for an unknown notification", async () => {
+      const res = await reprocess("nope");
+
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.body, { error: "Notification not found" });
+    });
+  });
+});
+
+describe("POST /api/settlement-notification", () => {
+  let h;
+  beforeEach(async () => {
+    h = await startHarness();
+  });
+  afterEach(() => h.close());
+
+  it("records the settlement and marks the invoice settled", async () => {
+    const billNumber = await createInvoice(h);
+    await h.mock.pay(billNumber);
+    const { delivery } = await h.mock.settle(billNumber, { bankId: "RJHI" });
+
+    assert.equal(delivery.status, 200);
+    const settlement = await h.storage.settlements.get(billNumber);
+    assert.equal(settlement.settlementStatus, "SETTLED");
+    assert.equal(settlement.bankId, "RJHI");
+    const invoice = await h.storage.invoices.get(billNumber);
+    assert.equal(invoice.state, "settled");
+  });
+
+  it("answers 400 when required fields are missing", async () => {
+    const res = await h.postSigned("/api/settlement-notification", {
+      billNumber: "X1",
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body, { error: "Missing fields" });
+  });
+
+  it("rejects a forged signature", async () => {
+    const res = await h.postSigned(
+      "/api/settlement-notification",
+      { billNumber: "X1", settlementStatus: "SETTLED" },
+      { secret: "not-the-secret" }
+    );
+
+    assert.equal(res.status, 401);
+    assert.equal(await h.storage.settlements.get("X1"), null);
+  });
+});